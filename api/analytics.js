@@ -2,9 +2,12 @@
 import { runCors } from './_cors.js';
 import { APIClient } from '../lib/apiClient.js';
 import { PlayerPropsEngine } from '../lib/engines/playerPropsEngine.js';
+import { parsePropMarket, supportedMarkets } from '../lib/markets/propMarkets.js';
+import { OddsHistory } from '../lib/odds/oddsHistory.js';
 
 const apiClient = new APIClient(process.env.SPORTSDATA_API_KEY || '');
-const engine = new PlayerPropsEngine(apiClient);
+const oddsHistory = process.env.ODDS_HISTORY === 'OFF' ? null : new OddsHistory();
+const engine = new PlayerPropsEngine(apiClient, { oddsHistory });
 
 export default async function handler(req, res) {
   try {
@@ -24,6 +27,13 @@ export default async function handler(req, res) {
       startTime: raw?.startTime || new Date(Date.now() + 6 * 3600e3).toISOString(),
     };
 
+    if (!parsePropMarket(body.sport, body.prop)) {
+      return res.status(400).json({
+        error: `Unrecognized prop market "${body.prop}" for ${body.sport || 'unknown sport'}`,
+        supported: supportedMarkets(body.sport),
+      });
+    }
+
     const result = await engine.evaluateProp(body);
     const n = (x, d = 0) => (Number.isFinite(x) ? x : d);
 
@@ -34,6 +44,7 @@ export default async function handler(req, res) {
       decision: result.decision || 'PASS',
       finalConfidence: n(result.finalConfidence, 0),
       suggestedStake: n(result.suggestedStake, 0),
+      stake: result.stake || null,
       topDrivers: Array.isArray(result.topDrivers) ? result.topDrivers : [],
       flags: Array.isArray(result.flags) ? result.flags : [],
       rawNumbers: {
@@ -42,6 +53,8 @@ export default async function handler(req, res) {
         modelProbability: n(result?.rawNumbers?.modelProbability, 0.5),
         marketProbability: n(result?.rawNumbers?.marketProbability, 0.5),
         sharpSignal: n(result?.rawNumbers?.sharpSignal, 0),
+        evPerUnit: n(result?.rawNumbers?.evPerUnit, 0),
+        kellyFraction: n(result?.rawNumbers?.kellyFraction, 0),
       },
     };
 
@@ -3,10 +3,49 @@ import { runCors } from './_cors.js';
 import { APIClient } from '../lib/apiClient.js';
 import { PlayerPropsEngine } from '../lib/engines/playerPropsEngine.js';
 import { GameLinesEngine } from '../lib/engines/gameLinesEngine.js';
+import { BetLedger } from '../lib/ledger/betLedger.js';
+import { loadCalibrator } from '../lib/models/calibration.js';
+import { PlayerDirectory } from '../lib/players/playerDirectory.js';
+import { supportedMarkets } from '../lib/markets/propMarkets.js';
+import { OddsHistory } from '../lib/odds/oddsHistory.js';
 
 const apiClient = new APIClient(process.env.SPORTSDATA_API_KEY || '');
-const propsEngine = new PlayerPropsEngine(apiClient);
-const gameEngine  = new GameLinesEngine(apiClient);
+const ledger = new BetLedger();
+const recording = process.env.LEDGER !== 'OFF';
+const oddsHistory = process.env.ODDS_HISTORY === 'OFF' ? null : new OddsHistory();
+
+// Engines keep per-evaluation state, so each item gets its own instance.
+async function evaluatePropItem(raw, calibrator, playerDirectory) {
+  const engine = new PlayerPropsEngine(apiClient, { calibrator, playerDirectory, oddsHistory });
+  if (!engine.validateInput(raw)) {
+    if (engine.errorFlags.includes('UNRECOGNIZED_MARKET')) {
+      throw new Error(`Unrecognized prop market "${raw.prop}" (supported: ${supportedMarkets(raw.sport).join(', ')})`);
+    }
+    throw new Error(engine.errorFlags.join(', '));
+  }
+  const result = await engine.evaluateProp(raw);
+  if (recording) await ledger.recordProp(raw, result).catch(e => console.error('[analyze-batch] ledger', e?.message || e));
+  return result;
+}
+
+async function evaluateGameItem(raw, calibrator) {
+  const engine = new GameLinesEngine(apiClient, { calibrator, oddsHistory });
+  if (!engine.validateInput(engine.normalizeInput(raw))) throw new Error(engine.errorFlags.join(', '));
+  const result = await engine.evaluateGame(raw);
+  if (recording) await ledger.recordGame(raw, result).catch(e => console.error('[analyze-batch] ledger', e?.message || e));
+  return result;
+}
+
+// Split settled results into fulfilled values and { index, error } rejections
+function partition(settled) {
+  const results = [];
+  const errors = [];
+  settled.forEach((x, index) => {
+    if (x.status === 'fulfilled') results.push({ index, ...x.value });
+    else errors.push({ index, error: String(x.reason?.message || x.reason) });
+  });
+  return { results, errors };
+}
 
 export default async function handler(req, res) {
   try {
@@ -17,19 +56,22 @@ export default async function handler(req, res) {
     console.log('[analyze-batch] start');
 
     const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
-    const { props = [], games = [] } = body;
+    const props = Array.isArray(body.props) ? body.props : [];
+    const games = Array.isArray(body.games) ? body.games : [];
 
-    const propSettled = await Promise.allSettled(props.map(p => propsEngine.evaluateProp(p)));
-    const gameSettled = await Promise.allSettled(games.map(g => gameEngine.evaluateGameLine(g)));
+    const calibrator = await loadCalibrator().catch(() => null);
+    const playerDirectory = new PlayerDirectory(apiClient); // one Players pull per sport for the batch
+    const propSettled = await Promise.allSettled(props.map(p => evaluatePropItem(p, calibrator, playerDirectory)));
+    const gameSettled = await Promise.allSettled(games.map(g => evaluateGameItem(g, calibrator)));
 
-    const propResults = propSettled.filter(x => x.status === 'fulfilled').map(x => x.value);
-    const gameResults = gameSettled.filter(x => x.status === 'fulfilled').map(x => x.value);
+    const { results: propResults, errors: propErrors } = partition(propSettled);
+    const { results: gameResults, errors: gameErrors } = partition(gameSettled);
 
     console.log('[analyze-batch] ok', {
       props: propResults.length,
       games: gameResults.length,
-      propErrors: propSettled.filter(x => x.status === 'rejected').length,
-      gameErrors: gameSettled.filter(x => x.status === 'rejected').length,
+      propErrors: propErrors.length,
+      gameErrors: gameErrors.length,
     });
 
     return res.status(200).json({
@@ -39,11 +81,12 @@ export default async function handler(req, res) {
         totalProps: propResults.length,
         propsToLock: propResults.filter(p => p.decision === 'LOCK').length,
         totalGames: gameResults.length,
-        gamesToBet: gameResults.filter(g => g.recommendation === 'BET').length
+        gamesToBet: gameResults.filter(g => g.decision && g.decision !== 'PASS').length,
+        rejected: propErrors.length + gameErrors.length,
       },
       errors: {
-        propErrors: propSettled.filter(x => x.status === 'rejected').length,
-        gameErrors: gameSettled.filter(x => x.status === 'rejected').length,
+        props: propErrors,
+        games: gameErrors,
       }
     });
   } catch (e) {
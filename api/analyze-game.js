@@ -2,6 +2,12 @@
 import { GameLinesEngine } from "../lib/engines/gameLinesEngine.js";
 import { SportsDataIOClient } from "../lib/apiClient.js";
 import { runCors } from "./_cors.js";
+import { BetLedger } from "../lib/ledger/betLedger.js";
+import { loadCalibrator } from "../lib/models/calibration.js";
+import { OddsHistory } from "../lib/odds/oddsHistory.js";
+
+const ledger = new BetLedger();
+const oddsHistory = process.env.ODDS_HISTORY === "OFF" ? null : new OddsHistory();
 
 function resolveSportsDataKey() {
   return (
@@ -22,18 +28,17 @@ export default async function handler(req, res) {
 
   try {
     const b = typeof req.body === "object" && req.body ? req.body : {};
-    const payload = {
-      sport: b.sport || "",
-      team: b.team || "",
-      opponent: b.opponent || "",
-      startTime: b.startTime || b.date || null,
-    };
-
     const apiKey = resolveSportsDataKey();
     const sdio = new SportsDataIOClient({ apiKey });
 
-    const engine = new GameLinesEngine(sdio);
-    const result = await engine.evaluateGame(payload);
+    const engine = new GameLinesEngine(sdio, { oddsHistory });
+    engine.setCalibrator(await loadCalibrator().catch(() => null));
+    // engine normalizes {home, away, line} / {team, opponent, line}
+    const result = await engine.evaluateGame(b);
+
+    if (process.env.LEDGER !== "OFF") {
+      await ledger.recordGame(b, result).catch(e => console.error("[analyze-game] ledger", e?.message || e));
+    }
 
     console.log("[analyze-game] ok", {
       source: result?.meta?.dataSource,
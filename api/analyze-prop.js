@@ -1,6 +1,13 @@
 // api/analyze-prop.js
 import { PlayerPropsEngine } from "../lib/engines/playerPropsEngine.js";
 import { SportsDataIOClient } from "../lib/apiClient.js";
+import { BetLedger } from "../lib/ledger/betLedger.js";
+import { loadCalibrator } from "../lib/models/calibration.js";
+import { parsePropMarket, supportedMarkets } from "../lib/markets/propMarkets.js";
+import { OddsHistory } from "../lib/odds/oddsHistory.js";
+
+const ledger = new BetLedger();
+const oddsHistory = process.env.ODDS_HISTORY === "OFF" ? null : new OddsHistory();
 
 // --- Minimal CORS so we don't depend on ./_cors.js ---
 function applyCors(req, res) {
@@ -78,9 +85,20 @@ export default async function handler(req, res) {
       },
       startTime: body.startTime || body.date || null,
       workload: body.workload ?? "AUTO",
-      injuryNotes: body.injuryNotes ?? "UNKNOWN",
+      umpire: body.umpire || "",
+      pitchLimit: body.pitchLimit ?? null,
+      staking: body.staking || null,
     };
 
+    if (!parsePropMarket(payload.sport, payload.prop)) {
+      res.status(400).json({
+        error: `Unrecognized prop market "${payload.prop}" for ${payload.sport || "unknown sport"}`,
+        details: "expected <stat> <line>, e.g. \"Points 23.5\", \"PRA 35.5\", \"Over 6.5 Strikeouts\"",
+        supported: supportedMarkets(payload.sport),
+      });
+      return;
+    }
+
     // Create a fresh client with the explicit key (from env resolver)
     const apiKey = resolveSportsDataKey();
     const sdio = new SportsDataIOClient({ apiKey });
@@ -90,9 +108,14 @@ export default async function handler(req, res) {
       baseURL: sdio.baseURL
     });
 
-    const engine = new PlayerPropsEngine(sdio);
+    const engine = new PlayerPropsEngine(sdio, { oddsHistory });
+    engine.setCalibrator(await loadCalibrator().catch(() => null));
     const result = await engine.evaluateProp(payload);
 
+    if (process.env.LEDGER !== "OFF") {
+      await ledger.recordProp(payload, result).catch(e => console.error("[analyze-prop] ledger", e?.message || e));
+    }
+
     // Normalize meta for the client
     const source = typeof result?.meta?.dataSource === "string"
       ? result.meta.dataSource
@@ -105,6 +128,8 @@ export default async function handler(req, res) {
       dataSource: source,
       usedEndpoints,
       matchedName: engine.matchedName || result?.meta?.matchedName || "",
+      playerId: result?.meta?.playerId ?? null,
+      playerCandidates: result?.meta?.playerCandidates || [],
       zeroFiltered: Number.isFinite(engine.zeroFiltered) ? engine.zeroFiltered : (result?.meta?.zeroFiltered ?? 0),
       recentCount: Number.isFinite(engine.recentValsCount) ? engine.recentValsCount : (result?.meta?.recentCount ?? 0),
       recentSample: Array.isArray(engine.recentSample) ? engine.recentSample : (result?.meta?.recentSample || []),
@@ -121,6 +146,7 @@ export default async function handler(req, res) {
       decision: result.decision,
       finalConfidence: result.finalConfidence,
       suggestedStake: result.suggestedStake,
+      stake: result.stake,
       topDrivers: result.topDrivers,
       flags: result.flags,
       rawNumbers: result.rawNumbers,
@@ -0,0 +1,43 @@
+// api/calibration.js
+// GET  → reliability / Brier / log-loss report of the saved calibrator against graded ledger picks
+// POST { method: "isotonic" | "platt", minSamples } → fit from graded picks and save
+import { runCors } from "./_cors.js";
+import { BetLedger } from "../lib/ledger/betLedger.js";
+import { Calibrator, MIN_STRATUM_SAMPLES, loadCalibrator, saveCalibrator } from "../lib/models/calibration.js";
+
+export default async function handler(req, res) {
+  if (!runCors(req, res)) return;
+
+  try {
+    const ledger = new BetLedger();
+    const q = req.query || {};
+
+    if (req.method === "GET") {
+      const picks = await ledger.list({ sport: q.sport, kind: q.kind });
+      const calibrator = (await loadCalibrator()) || new Calibrator({ method: "identity" });
+      res.status(200).json(calibrator.report(picks, Number(q.bins) || 10));
+      return;
+    }
+
+    if (req.method !== "POST") {
+      res.status(405).json({ error: "Method Not Allowed" });
+      return;
+    }
+
+    const b = typeof req.body === "object" && req.body ? req.body : {};
+    const method = b.method === "platt" ? "platt" : "isotonic";
+    const minSamples = Number(b.minSamples) > 0 ? Number(b.minSamples) : MIN_STRATUM_SAMPLES;
+    const picks = await ledger.list();
+    const calibrator = Calibrator.fit(picks, { method, minSamples });
+    if (!Object.keys(calibrator.strata).length) {
+      res.status(422).json({ error: "Not enough graded picks", details: `need ${minSamples} graded picks with a raw probability`, samples: calibrator.samples });
+      return;
+    }
+    const file = await saveCalibrator(calibrator);
+    console.log("[calibration] fitted", { method, samples: calibrator.samples, strata: Object.keys(calibrator.strata), file });
+    res.status(200).json({ ...calibrator.toJSON(), report: calibrator.report(picks) });
+  } catch (err) {
+    console.error("[calibration] error", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+}
@@ -0,0 +1,61 @@
+// api/ledger.js
+// GET  → hit rate / ROI / CLV report (?sport=NBA&kind=prop), ?view=picks for raw rows,
+//        or ?format=csv for a spreadsheet export
+// POST { action: "grade" }                          → grade pending picks from box scores
+// POST { action: "close", id, price, otherPrice }   → record a closing price by hand
+import { runCors } from "./_cors.js";
+import { SportsDataIOClient } from "../lib/apiClient.js";
+import { BetLedger, picksToCSV } from "../lib/ledger/betLedger.js";
+import { LedgerGrader } from "../lib/ledger/grader.js";
+
+export default async function handler(req, res) {
+  if (!runCors(req, res)) return;
+
+  try {
+    const ledger = new BetLedger();
+    const q = req.query || {};
+
+    if (req.method === "GET") {
+      const filter = { sport: q.sport, kind: q.kind, status: q.status };
+      if (q.format === "csv") {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader("Content-Disposition", 'attachment; filename="ledger.csv"');
+        res.status(200).send(picksToCSV(await ledger.list(filter)));
+        return;
+      }
+      if (q.view === "picks") {
+        res.status(200).json({ picks: await ledger.list(filter) });
+        return;
+      }
+      res.status(200).json(await ledger.report(filter));
+      return;
+    }
+
+    if (req.method !== "POST") {
+      res.status(405).json({ error: "Method Not Allowed" });
+      return;
+    }
+
+    const b = typeof req.body === "object" && req.body ? req.body : {};
+    if (b.action === "grade") {
+      const grader = new LedgerGrader(new SportsDataIOClient());
+      const out = await grader.gradePending(ledger);
+      console.log("[ledger] graded", { checked: out.checked, graded: out.graded, stillPending: out.stillPending });
+      res.status(200).json(out);
+      return;
+    }
+    if (b.action === "close") {
+      const pick = await ledger.setClosing(b.id, { price: b.price, otherPrice: b.otherPrice });
+      if (!pick) {
+        res.status(404).json({ error: "Unknown pick id" });
+        return;
+      }
+      res.status(200).json(pick);
+      return;
+    }
+    res.status(400).json({ error: "Unknown action", details: "expected grade | close" });
+  } catch (err) {
+    console.error("[ledger] error", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+}
@@ -0,0 +1,40 @@
+// api/players/search.js
+// GET ?sport=WNBA&q=natasha cloud&team=LIB&limit=10 → directory matches for autocomplete,
+// plus the resolved PlayerID when one candidate clearly wins (else ambiguous + candidates)
+import { runCors } from "../_cors.js";
+import { SportsDataIOClient } from "../../lib/apiClient.js";
+import { PlayerDirectory } from "../../lib/players/playerDirectory.js";
+
+const SPORTS = new Set(["MLB", "NBA", "WNBA", "NFL", "NHL"]);
+
+export default async function handler(req, res) {
+  if (!runCors(req, res)) return;
+  if (req.method !== "GET") {
+    res.status(405).json({ error: "Method Not Allowed" });
+    return;
+  }
+
+  try {
+    const q = req.query || {};
+    const sport = String(q.sport || "").toUpperCase();
+    const query = String(q.q || "").trim();
+    if (!SPORTS.has(sport)) {
+      res.status(400).json({ error: "Unknown sport", details: `expected one of ${[...SPORTS].join(", ")}` });
+      return;
+    }
+    if (query.length < 2) {
+      res.status(200).json({ sport, query, results: [], resolved: null, ambiguous: false });
+      return;
+    }
+
+    const directory = new PlayerDirectory(new SportsDataIOClient());
+    const limit = Math.max(1, Math.min(25, Number(q.limit) || 10));
+    const results = await directory.search(sport, query, { team: q.team || null, limit });
+    const { player, ambiguous } = await directory.resolve(sport, query, { team: q.team || null });
+
+    res.status(200).json({ sport, query, results, resolved: player, ambiguous });
+  } catch (err) {
+    console.error("[players/search] error", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+}
@@ -1,6 +1,25 @@
 // lib/apiClient.js
 // SportsDataIO client with pacing, timeout, and friendly exports.
 // Exposes convenience methods used by the engines (season/by-date + NFL week helpers).
+// Responses are cached per endpoint TTL (lib/cache/responseCache.js) and concurrent identical
+// requests share one fetch. Fixture mode: "record" writes every successful response to fixturesDir, "replay" serves
+// requests only from there (no key or network needed) and throws FixtureMissError otherwise.
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { fixtureKey, fixtureFileName } from "./backtest/fixtureStore.js";
+import { resolveCacheStore, ttlForEndpoint } from "./cache/responseCache.js";
+
+export const DEFAULT_FIXTURES_DIR = path.join(process.cwd(), "fixtures", "sportsdata");
+
+export class FixtureMissError extends Error {
+  constructor(key, file) {
+    super(`No recorded SportsDataIO fixture for ${key} (expected ${file}); re-run in record mode to capture it`);
+    this.name = "FixtureMissError";
+    this.code = "FIXTURE_MISS";
+    this.key = key;
+    this.file = file;
+  }
+}
 
 export class SportsDataIOClient {
   constructor(opts = {}) {
@@ -25,17 +44,89 @@ export class SportsDataIOClient {
     this.rateLimitDelay = Number(opts.rateLimitDelay ?? process.env.SPORTS_DATA_IO_RATE_DELAY ?? 250);
     this.lastRequestTime = 0;
     this.lastHttp = null; // store last HTTP result info for debug
+
+    const mode = String(opts.fixtureMode ?? process.env.SPORTS_DATA_IO_FIXTURES ?? "").toLowerCase();
+    this.fixtureMode = mode === "record" || mode === "replay" ? mode : null;
+    this.fixturesDir = opts.fixturesDir || process.env.SPORTS_DATA_IO_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+
+    this.cache = resolveCacheStore(opts.cache);
+    this._inflight = new Map(); // cache key → pending live request
+    this.cacheStats = { hits: 0, misses: 0, shared: 0 };
   }
 
   setApiKey(key) { this.apiKey = (key || "").trim(); }
   setBaseURL(url) { if (url) this.baseURL = url.replace(/\/+$/, ""); }
 
+  // Engines ask this instead of checking apiKey: replay needs no key
+  isReady() { return this.fixtureMode === "replay" || Boolean(this.apiKey); }
+
+  async _replay(ep, params) {
+    const key = fixtureKey(ep, params);
+    const file = path.join(this.fixturesDir, fixtureFileName(ep, params));
+    let txt;
+    try {
+      txt = await fs.readFile(file, "utf8");
+    } catch (e) {
+      if (e?.code !== "ENOENT") throw e;
+      this.lastHttp = { status: null, ok: false, url: key, err: "fixture miss" };
+      throw new FixtureMissError(key, file);
+    }
+    this.lastHttp = { status: 200, ok: true, url: key, fixture: file };
+    return JSON.parse(txt).data;
+  }
+
+  async _record(ep, params, data) {
+    try {
+      await fs.mkdir(this.fixturesDir, { recursive: true });
+      const params0 = Object.fromEntries(Object.entries(params).filter(([k]) => k !== "key"));
+      const file = path.join(this.fixturesDir, fixtureFileName(ep, params0));
+      await fs.writeFile(file, JSON.stringify({ endpoint: ep, params: params0, recordedAt: new Date().toISOString(), data }, null, 2));
+    } catch (e) {
+      console.warn("[SportsDataIO] fixture write failed", String(e?.message || e));
+    }
+  }
+
   async makeRequest(endpoint, params = {}) {
+    if (this.fixtureMode === "replay") {
+      return this._replay(endpoint.startsWith("/") ? endpoint : `/${endpoint}`, params);
+    }
     if (!this.apiKey) {
       this.lastHttp = null;
       return {};
     }
 
+    // ensure endpoint begins with slash
+    const ep = endpoint.startsWith("/") ? endpoint : (`/${endpoint}`);
+    // recording must hit the network so every response lands in the fixtures dir
+    const ttl = this.cache && this.fixtureMode !== "record" ? ttlForEndpoint(ep) : 0;
+    if (!(ttl > 0)) return (await this._fetchLive(ep, params)).data;
+
+    const key = fixtureKey(ep, params);
+    const cached = await this.cache.get(key);
+    if (cached !== undefined) {
+      this.cacheStats.hits++;
+      this.lastHttp = { status: 200, ok: true, url: key, cache: "hit" };
+      return cached;
+    }
+    if (this._inflight.has(key)) {
+      this.cacheStats.shared++;
+      return (await this._inflight.get(key)).data;
+    }
+
+    this.cacheStats.misses++;
+    const pending = this._fetchLive(ep, params);
+    this._inflight.set(key, pending);
+    try {
+      const res = await pending;
+      if (res.ok) await this.cache.set(key, res.data, ttl);
+      return res.data;
+    } finally {
+      this._inflight.delete(key);
+    }
+  }
+
+  // → { ok, data }; failures resolve to { ok: false, data: {} } like the engines expect
+  async _fetchLive(ep, params = {}) {
     // pacing
     const now = Date.now();
     const elapsed = now - this.lastRequestTime;
@@ -43,8 +134,6 @@ export class SportsDataIOClient {
       await new Promise(r => setTimeout(r, this.rateLimitDelay - elapsed));
     }
 
-    // ensure endpoint begins with slash
-    const ep = endpoint.startsWith("/") ? endpoint : (`/${endpoint}`);
     const url = new URL(this.baseURL + ep);
 
     // SportsDataIO expects "key" query param
@@ -67,22 +156,24 @@ export class SportsDataIOClient {
 
       this.lastHttp = { status: resp.status, ok: resp.ok, url: url.toString() };
 
+      let body = resp;
       if (resp.status === 429) {
         // mild backoff + one retry
         await new Promise(r => setTimeout(r, 750));
-        const resp2 = await fetch(url.toString(), { headers: { Accept: "application/json" } }).catch(()=>null);
-        if (!resp2) return {};
-        this.lastHttp = { status: resp2.status, ok: resp2.ok, url: url.toString() };
-        if (!resp2.ok) return {};
-        try { return await resp2.json(); } catch { return {}; }
+        body = await fetch(url.toString(), { headers: { Accept: "application/json" } }).catch(()=>null);
+        if (!body) return { ok: false, data: {} };
+        this.lastHttp = { status: body.status, ok: body.ok, url: url.toString() };
       }
 
-      if (!resp.ok) return {};
-      try { return await resp.json(); } catch { return {}; }
+      if (!body.ok) return { ok: false, data: {} };
+      let data;
+      try { data = await body.json(); } catch { return { ok: false, data: {} }; }
+      if (this.fixtureMode === "record") await this._record(ep, params, data);
+      return { ok: true, data };
     } catch (e) {
       clearTimeout(timeout);
       this.lastHttp = { status: null, ok: false, url: url.toString(), err: String(e) };
-      return {};
+      return { ok: false, data: {} };
     }
   }
 
@@ -101,6 +192,30 @@ export class SportsDataIOClient {
   async getNFLPlayerSeasonStats(season){
     return this.makeRequest(`/v3/nfl/stats/json/PlayerSeasonStats/${season}`);
   }
+  async getNHLPlayerSeasonStats(season){
+    return this.makeRequest(`/v3/nhl/stats/json/PlayerSeasonStats/${season}`);
+  }
+  // MLB season splits (vs LHP / RHP, home / away)
+  async getMLBPlayerSeasonSplitStats(season){
+    return this.makeRequest(`/v3/mlb/stats/json/PlayerSeasonSplitStats/${season}`);
+  }
+
+  // Player directories (active players with PlayerID / Team / Position)
+  async getMLBPlayers(){
+    return this.makeRequest(`/v3/mlb/scores/json/Players`);
+  }
+  async getNBAPlayers(){
+    return this.makeRequest(`/v3/nba/scores/json/Players`);
+  }
+  async getWNBAPlayers(){
+    return this.makeRequest(`/v3/wnba/scores/json/Players`);
+  }
+  async getNFLPlayers(){
+    return this.makeRequest(`/v3/nfl/scores/json/Players`);
+  }
+  async getNHLPlayers(){
+    return this.makeRequest(`/v3/nhl/scores/json/Players`);
+  }
 
   // By-date (per-game) stats
   async getMLBPlayerStatsByDate(date){
@@ -112,6 +227,23 @@ export class SportsDataIOClient {
   async getWNBAPlayerStatsByDate(date){
     return this.makeRequest(`/v3/wnba/stats/json/PlayerGameStatsByDate/${date}`);
   }
+  async getNHLPlayerStatsByDate(date){
+    return this.makeRequest(`/v3/nhl/stats/json/PlayerGameStatsByDate/${date}`);
+  }
+
+  // Team box scores (matchup factors)
+  async getMLBTeamGameStatsByDate(date){
+    return this.makeRequest(`/v3/mlb/stats/json/TeamGameStatsByDate/${date}`);
+  }
+  async getNBATeamGameStatsByDate(date){
+    return this.makeRequest(`/v3/nba/stats/json/TeamGameStatsByDate/${date}`);
+  }
+  async getWNBATeamGameStatsByDate(date){
+    return this.makeRequest(`/v3/wnba/stats/json/TeamGameStatsByDate/${date}`);
+  }
+  async getNHLTeamGameStatsByDate(date){
+    return this.makeRequest(`/v3/nhl/stats/json/TeamGameStatsByDate/${date}`);
+  }
 
   // (optional) Projections by date — only if your plan supports them
   async getMLBPlayerProjectionsByDate(date){
@@ -123,6 +255,44 @@ export class SportsDataIOClient {
   async getWNBAPlayerProjectionsByDate(date){
     return this.makeRequest(`/v3/wnba/projections/json/PlayerGameProjectionStatsByDate/${date}`);
   }
+  // Injury reports (current; players listed with an InjuryStatus)
+  async getMLBInjuredPlayers(){
+    return this.makeRequest(`/v3/mlb/projections/json/InjuredPlayers`);
+  }
+  async getNBAInjuredPlayers(){
+    return this.makeRequest(`/v3/nba/projections/json/InjuredPlayers`);
+  }
+  async getWNBAInjuredPlayers(){
+    return this.makeRequest(`/v3/wnba/projections/json/InjuredPlayers`);
+  }
+  async getNFLInjuredPlayers(){
+    return this.makeRequest(`/v3/nfl/projections/json/InjuredPlayers`);
+  }
+  async getNHLInjuredPlayers(){
+    return this.makeRequest(`/v3/nhl/projections/json/InjuredPlayers`);
+  }
+
+  // Player news (newest first)
+  async getMLBNewsByPlayer(playerId){
+    return this.makeRequest(`/v3/mlb/scores/json/NewsByPlayerID/${playerId}`);
+  }
+  async getNBANewsByPlayer(playerId){
+    return this.makeRequest(`/v3/nba/scores/json/NewsByPlayerID/${playerId}`);
+  }
+  async getWNBANewsByPlayer(playerId){
+    return this.makeRequest(`/v3/wnba/scores/json/NewsByPlayerID/${playerId}`);
+  }
+  async getNFLNewsByPlayer(playerId){
+    return this.makeRequest(`/v3/nfl/scores/json/NewsByPlayerID/${playerId}`);
+  }
+  async getNHLNewsByPlayer(playerId){
+    return this.makeRequest(`/v3/nhl/scores/json/NewsByPlayerID/${playerId}`);
+  }
+
+  // MLB probable / confirmed batting orders
+  async getMLBStartingLineupsByDate(date){
+    return this.makeRequest(`/v3/mlb/projections/json/StartingLineupsByDate/${date}`);
+  }
 
   // NFL week helpers (useful for recents)
   async getNFLSeasonCurrent(){
@@ -134,15 +304,67 @@ export class SportsDataIOClient {
   async getNFLPlayerGameStatsByWeek(season, week){
     return this.makeRequest(`/v3/nfl/stats/json/PlayerGameStatsByWeek/${season}/${week}`);
   }
+  async getNFLTeamGameStatsByWeek(season, week){
+    return this.makeRequest(`/v3/nfl/stats/json/TeamGameStats/${season}/${week}`);
+  }
   async getNFLPlayerProjectionsByWeek(season, week){
     return this.makeRequest(`/v3/nfl/projections/json/PlayerGameProjectionStatsByWeek/${season}/${week}`);
   }
 
+  // Season schedules with final scores (team-strength model)
+  async getMLBGamesBySeason(season){
+    return this.makeRequest(`/v3/mlb/scores/json/Games/${season}`);
+  }
+  async getNBAGamesBySeason(season){
+    return this.makeRequest(`/v3/nba/scores/json/Games/${season}`);
+  }
+  async getWNBAGamesBySeason(season){
+    return this.makeRequest(`/v3/wnba/scores/json/Games/${season}`);
+  }
+  async getNFLScoresBySeason(season){
+    return this.makeRequest(`/v3/nfl/scores/json/Scores/${season}`);
+  }
+  async getNHLGamesBySeason(season){
+    return this.makeRequest(`/v3/nhl/scores/json/Games/${season}`);
+  }
+
+  // Games/scores for a single day (grading)
+  async getMLBGamesByDate(date){
+    return this.makeRequest(`/v3/mlb/scores/json/GamesByDate/${date}`);
+  }
+  async getNBAGamesByDate(date){
+    return this.makeRequest(`/v3/nba/scores/json/GamesByDate/${date}`);
+  }
+  async getWNBAGamesByDate(date){
+    return this.makeRequest(`/v3/wnba/scores/json/GamesByDate/${date}`);
+  }
+  async getNFLScoresByDate(date){
+    return this.makeRequest(`/v3/nfl/scores/json/ScoresByDate/${date}`);
+  }
+  async getNHLGamesByDate(date){
+    return this.makeRequest(`/v3/nhl/scores/json/GamesByDate/${date}`);
+  }
+
   // (Optional odds endpoints — engines may or may not use)
   async getMLBGameOdds(date) { return this.makeRequest(`/v3/mlb/odds/json/GameOddsByDate/${date}`); }
   async getNBAGameOdds(date) { return this.makeRequest(`/v3/nba/odds/json/GameOddsByDate/${date}`); }
   async getWNBAGameOdds(date) { return this.makeRequest(`/v3/wnba/odds/json/GameOddsByDate/${date}`); }
   async getNFLGameOdds(week) { return this.makeRequest(`/v3/nfl/odds/json/GameOddsByWeek/${week}`); }
+  async getNHLGameOdds(date) { return this.makeRequest(`/v3/nhl/odds/json/GameOddsByDate/${date}`); }
+
+  // Player prop lines (over/under line and payouts) for the odds history recorder
+  async getMLBPlayerPropsByDate(date) { return this.makeRequest(`/v3/mlb/odds/json/PlayerPropsByDate/${date}`); }
+  async getNBAPlayerPropsByDate(date) { return this.makeRequest(`/v3/nba/odds/json/PlayerPropsByDate/${date}`); }
+  async getWNBAPlayerPropsByDate(date) { return this.makeRequest(`/v3/wnba/odds/json/PlayerPropsByDate/${date}`); }
+  async getNFLPlayerPropsByWeek(season, week) { return this.makeRequest(`/v3/nfl/odds/json/PlayerPropsByWeek/${season}/${week}`); }
+  async getNHLPlayerPropsByDate(date) { return this.makeRequest(`/v3/nhl/odds/json/PlayerPropsByDate/${date}`); }
+
+  // Public bet / money percentages per game market (reverse line movement)
+  async getMLBBettingSplitsByGameId(gameId) { return this.makeRequest(`/v3/mlb/odds/json/BettingSplitsByGameId/${gameId}`); }
+  async getNBABettingSplitsByGameId(gameId) { return this.makeRequest(`/v3/nba/odds/json/BettingSplitsByGameId/${gameId}`); }
+  async getWNBABettingSplitsByGameId(gameId) { return this.makeRequest(`/v3/wnba/odds/json/BettingSplitsByGameId/${gameId}`); }
+  async getNFLBettingSplitsByGameId(gameId) { return this.makeRequest(`/v3/nfl/odds/json/BettingSplitsByGameId/${gameId}`); }
+  async getNHLBettingSplitsByGameId(gameId) { return this.makeRequest(`/v3/nhl/odds/json/BettingSplitsByGameId/${gameId}`); }
 }
 
 // Ready-to-use singleton
@@ -0,0 +1,122 @@
+// lib/backtest/backtestRunner.js
+// Replays PlayerPropsEngine.evaluateProp over a historical slate against recorded fixtures,
+// each prop seeing only data from before its game date, then grades it and rolls up
+// ROI, hit rate, calibration and drawdown per decision tier.
+import { PlayerPropsEngine } from "../engines/playerPropsEngine.js";
+import { LedgerGrader } from "../ledger/grader.js";
+import { brierScore, logLoss, reliabilityCurve } from "../models/calibration.js";
+import { PointInTimeClient } from "./pointInTimeClient.js";
+
+export const DECISION_TIERS = ["LOCK", "STRONG_LEAN", "LEAN", "PASS"];
+
+function fmtLocalDate(d) {
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+
+function sideResult(actual, line, side) {
+  if (!Number.isFinite(actual) || !Number.isFinite(line)) return null;
+  if (actual === line) return "PUSH";
+  const over = actual > line;
+  return (side === "UNDER" ? !over : over) ? "WIN" : "LOSS";
+}
+
+// slate: [{ sport, player, opponent, prop, odds: { over, under }, startTime, actual? }]
+// opts:  { store, thresholds, fusionWeights, staking, calibrator, onProgress }
+export async function runBacktest(slate, opts = {}) {
+  const { store, thresholds, fusionWeights, staking, calibrator } = opts;
+  const grader = new LedgerGrader(new PointInTimeClient(store)); // unrestricted: box scores for grading
+  const items = slate
+    .map((raw, index) => ({ raw, index, t: new Date(raw?.startTime).getTime() }))
+    .filter(x => Number.isFinite(x.t))
+    .sort((a, b) => a.t - b.t);
+
+  const rows = [];
+  const skipped = slate.length - items.length;
+  for (const { raw, index } of items) {
+    const gameDate = fmtLocalDate(new Date(raw.startTime));
+    const client = new PointInTimeClient(store, { asOf: gameDate });
+    const engine = new PlayerPropsEngine(client, { thresholds, fusionWeights, staking, calibrator });
+    const result = await engine.evaluateProp(raw);
+
+    const side = result.suggestion === "UNDER" ? "UNDER" : "OVER";
+    let actual = Number.isFinite(Number(raw.actual)) ? Number(raw.actual) : null;
+    let status = sideResult(actual, Number(result.line), side);
+    if (!status) {
+      const graded = await grader.gradeProp({
+        sport: String(raw.sport || "").toUpperCase(), gameDate, player: raw.player,
+        playerId: result.meta?.playerId, prop: raw.prop, line: result.line, side,
+      });
+      status = graded?.status || "UNGRADED";
+      actual = graded?.actual ?? null;
+    }
+
+    rows.push({
+      index,
+      gameDate,
+      sport: String(raw.sport || "").toUpperCase(),
+      player: raw.player,
+      prop: raw.prop,
+      line: result.line,
+      side,
+      decision: result.decision,
+      price: Number(side === "OVER" ? raw?.odds?.over : raw?.odds?.under) || Number(result.price?.decimal) || null,
+      probability: result.rawNumbers.sideProbability, // P(side | no push); pushes aren't scored
+      stakeUnits: Number(result.stake?.units) || 0,
+      status,
+      actual,
+      fallback: result.flags.includes("FALLBACK_DATA"),
+      withheld: client.withheld.length,
+      misses: client.misses.length,
+    });
+    opts.onProgress?.(rows.length, items.length);
+  }
+
+  return { config: { thresholds: thresholds || {}, fusionWeights: fusionWeights || {} }, skipped, ...summarizeBacktest(rows), rows };
+}
+
+// Rows are chronological; drawdown is the worst peak-to-trough of cumulative profit
+function tierSummary(rows) {
+  const decided = rows.filter(r => r.status === "WIN" || r.status === "LOSS");
+  const wins = decided.filter(r => r.status === "WIN").length;
+  let flat = 0, flatRisked = 0, units = 0, unitsRisked = 0;
+  let flatPeak = 0, flatDd = 0, unitPeak = 0, unitDd = 0;
+  for (const r of rows) {
+    if (r.status !== "WIN" && r.status !== "LOSS") continue;
+    const dec = Number(r.price);
+    if (!(dec > 1)) continue;
+    const win = r.status === "WIN";
+    flat += win ? dec - 1 : -1; flatRisked += 1;
+    units += win ? r.stakeUnits * (dec - 1) : -r.stakeUnits; unitsRisked += r.stakeUnits;
+    flatPeak = Math.max(flatPeak, flat); flatDd = Math.max(flatDd, flatPeak - flat);
+    unitPeak = Math.max(unitPeak, units); unitDd = Math.max(unitDd, unitPeak - units);
+  }
+  const pts = decided.map(r => ({ p: r.probability, y: r.status === "WIN" ? 1 : 0 }));
+  const r4 = (x) => (x == null ? null : Math.round(x * 10000) / 10000);
+  return {
+    picks: rows.length,
+    graded: decided.length,
+    pushes: rows.filter(r => r.status === "PUSH").length,
+    ungraded: rows.filter(r => r.status === "UNGRADED" || r.status === "VOID").length,
+    fallback: rows.filter(r => r.fallback).length,
+    hitRate: decided.length ? r4(wins / decided.length) : null,
+    avgProbability: pts.length ? r4(pts.reduce((s, x) => s + x.p, 0) / pts.length) : null,
+    roi: flatRisked ? r4(flat / flatRisked) : null,
+    stakedRoi: unitsRisked ? r4(units / unitsRisked) : null,
+    unitsWon: r4(units),
+    maxDrawdown: { flat: r4(flatDd), units: r4(unitDd) },
+    calibration: { brier: r4(brierScore(pts)), logLoss: r4(logLoss(pts)), reliability: reliabilityCurve(pts) },
+  };
+}
+
+export function summarizeBacktest(rows) {
+  const byDecision = {};
+  for (const tier of DECISION_TIERS) byDecision[tier] = tierSummary(rows.filter(r => r.decision === tier));
+  return {
+    overall: tierSummary(rows),
+    bets: tierSummary(rows.filter(r => r.decision !== "PASS")),
+    byDecision,
+  };
+}
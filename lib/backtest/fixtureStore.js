@@ -0,0 +1,48 @@
+// lib/backtest/fixtureStore.js
+// Recorded SportsDataIO responses keyed by endpoint path + sorted query params (API key stripped).
+// A fixture directory holds *.json files, each { endpoint, params, data } or an array of them.
+import { promises as fs } from "node:fs";
+import path from "node:path";
+
+export function fixtureKey(endpoint, params = {}) {
+  const ep = String(endpoint || "").startsWith("/") ? String(endpoint) : `/${endpoint}`;
+  const qs = Object.keys(params || {})
+    .filter(k => k !== "key" && params[k] !== undefined && params[k] !== null && params[k] !== "")
+    .sort()
+    .map(k => `${k}=${params[k]}`)
+    .join("&");
+  return qs ? `${ep}?${qs}` : ep;
+}
+
+// Filesystem-safe name for a fixture key: "/v3/nba/.../2024-01-05?a=1" → "v3_nba_..._2024-01-05__a=1.json"
+export function fixtureFileName(endpoint, params = {}) {
+  return fixtureKey(endpoint, params)
+    .replace(/^\//, "")
+    .replace(/\?/, "__")
+    .replace(/[\/&]/g, "_")
+    .replace(/[^A-Za-z0-9_.=-]/g, "-") + ".json";
+}
+
+export class FixtureStore {
+  constructor(entries = []) {
+    this.map = new Map();
+    for (const e of entries) this.set(e.endpoint, e.params, e.data);
+  }
+
+  static async load(dir) {
+    const store = new FixtureStore();
+    const files = (await fs.readdir(dir)).filter(f => f.endsWith(".json")).sort();
+    for (const f of files) {
+      const parsed = JSON.parse(await fs.readFile(path.join(dir, f), "utf8"));
+      for (const e of Array.isArray(parsed) ? parsed : [parsed]) {
+        if (e && e.endpoint) store.set(e.endpoint, e.params, e.data);
+      }
+    }
+    return store;
+  }
+
+  set(endpoint, params, data) { this.map.set(fixtureKey(endpoint, params), data); }
+  has(endpoint, params) { return this.map.has(fixtureKey(endpoint, params)); }
+  get(endpoint, params) { return this.map.get(fixtureKey(endpoint, params)); }
+  get size() { return this.map.size; }
+}
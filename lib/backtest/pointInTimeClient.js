@@ -0,0 +1,80 @@
+// lib/backtest/pointInTimeClient.js
+// Fixture-backed SportsDataIO client that only exposes data available before `asOf`
+// (the game date being backtested). With asOf = null it serves every fixture (grading).
+import { SportsDataIOClient } from "../apiClient.js";
+import { nflSeasonWeek } from "../sports/sportAdapters.js";
+
+const MONTHS = { JAN: 1, FEB: 2, MAR: 3, APR: 4, MAY: 5, JUN: 6, JUL: 7, AUG: 8, SEP: 9, OCT: 10, NOV: 11, DEC: 12 };
+
+// "2024-01-05" | "2024-JAN-05" → "2024-01-05"
+function normDate(s) {
+  const m = String(s || "").match(/^(\d{4})-(\d{2}|[A-Za-z]{3})-(\d{2})/);
+  if (!m) return null;
+  const mm = /^\d+$/.test(m[2]) ? Number(m[2]) : MONTHS[m[2].toUpperCase()];
+  return mm ? `${m[1]}-${String(mm).padStart(2, "0")}-${m[3]}` : null;
+}
+
+export class PointInTimeClient extends SportsDataIOClient {
+  constructor(store, { asOf = null } = {}) {
+    super({ baseURL: "fixtures://sportsdata", rateLimitDelay: 0 });
+    this.store = store;
+    this.asOf = asOf ? normDate(asOf) : null;
+    this.withheld = []; // endpoints blocked by the point-in-time rules
+    this.misses = [];   // endpoints with no recorded fixture
+  }
+
+  isReady() { return true; }
+
+  // → "allow" | "withhold" | "filter" (season schedules: keep rows dated before asOf)
+  _rule(ep) {
+    if (!this.asOf) return "allow";
+    if (/\/PlayerSeason(Split)?Stats(ByTeam)?\//i.test(ep)) return "withhold"; // season totals include later games
+    if (/\/(InjuredPlayers|NewsByPlayerID\/\d+)$/i.test(ep)) return "withhold"; // today's report, not the game day's
+    const wk = ep.match(/\/(?:Player|Team)GameStats(?:ByWeek)?\/(\d{4})(?:REG|POST|PRE)?\/(\d+)$/i);
+    if (wk) {
+      const { season, week } = nflSeasonWeek(this.asOf);
+      const s = Number(wk[1]), w = Number(wk[2]);
+      return s < season || (s === season && w < week) ? "allow" : "withhold";
+    }
+    const dm = ep.match(/\/(\d{4}-(?:\d{2}|[A-Za-z]{3})-\d{2})$/);
+    if (dm) {
+      const d = normDate(dm[1]);
+      // pregame data (odds, projections) for the game date itself is fair game
+      const pregame = /\/(odds|projections)\//i.test(ep);
+      return d < this.asOf || (pregame && d === this.asOf) ? "allow" : "withhold";
+    }
+    if (/\/scores\/json\/(Games|Scores)\/\d{4}/i.test(ep)) return "filter";
+    return "allow";
+  }
+
+  async makeRequest(endpoint, params = {}) {
+    const ep = endpoint.startsWith("/") ? endpoint : `/${endpoint}`;
+    const rule = this._rule(ep);
+    if (rule === "withhold") {
+      this.withheld.push(ep);
+      this.lastHttp = { status: 204, ok: true, url: ep, note: "withheld (point-in-time)" };
+      return [];
+    }
+    if (!this.store.has(ep, params)) {
+      this.misses.push(ep);
+      this.lastHttp = { status: 404, ok: false, url: ep, note: "no fixture" };
+      return {};
+    }
+    this.lastHttp = { status: 200, ok: true, url: ep };
+    const data = this.store.get(ep, params);
+    if (rule === "filter" && Array.isArray(data)) {
+      return data.filter(g => {
+        const d = normDate(g?.Day || g?.DateTime || g?.Date);
+        return d && d < this.asOf;
+      });
+    }
+    return data;
+  }
+
+  async getNFLSeasonCurrent() {
+    return this.asOf ? nflSeasonWeek(this.asOf).season : super.getNFLSeasonCurrent();
+  }
+  async getNFLWeekCurrent() {
+    return this.asOf ? nflSeasonWeek(this.asOf).week : super.getNFLWeekCurrent();
+  }
+}
@@ -0,0 +1,148 @@
+// lib/cache/responseCache.js
+// Response cache for SportsDataIOClient: pluggable memory / disk stores and per-endpoint TTLs.
+// Past-date stats settle once late games end and stat corrections land, so they are kept forever
+// from two days back and refreshed hourly for yesterday; same-day odds expire in minutes.
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { createHash } from "node:crypto";
+import { writeFileAtomic } from "../storage/jsonFile.js";
+import { nflSeasonWeek } from "../sports/sportAdapters.js";
+
+export const DEFAULT_CACHE_DIR = path.join(process.cwd(), ".data", "sdio-cache");
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+
+export const CACHE_TTL = {
+  PAST_DATE: Infinity,      // box scores / final games / closing odds, two or more days back
+  RECENT_DATE: 1 * HOUR,    // yesterday: late finishes and stat corrections still land
+  TODAY_STATS: 5 * MIN,     // in-progress box scores
+  TODAY_ODDS: 2 * MIN,
+  PROJECTIONS: 15 * MIN,
+  SEASON_STATS: 6 * HOUR,   // running season totals
+  SCHEDULE: 1 * HOUR,       // season schedules / scores
+  NFL_WEEK: 1 * HOUR,       // NFL box scores for the week in progress (earlier weeks are PAST_DATE)
+  CURRENT: 1 * HOUR,        // CurrentSeason / CurrentWeek
+  PLAYERS: 12 * HOUR,       // player directories
+  INJURIES: 5 * MIN,        // injury report / player news
+  DEFAULT: 10 * MIN,
+};
+
+function fmtLocalDate(d) {
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+
+const MONTHS = { JAN: 1, FEB: 2, MAR: 3, APR: 4, MAY: 5, JUN: 6, JUL: 7, AUG: 8, SEP: 9, OCT: 10, NOV: 11, DEC: 12 };
+
+// trailing "2024-01-05" | "2024-JAN-05" → "2024-01-05"
+function endpointDate(ep) {
+  const m = String(ep).match(/\/(\d{4})-(\d{2}|[A-Za-z]{3})-(\d{2})$/);
+  if (!m) return null;
+  const mm = /^\d+$/.test(m[2]) ? Number(m[2]) : MONTHS[m[2].toUpperCase()];
+  return mm ? `${m[1]}-${String(mm).padStart(2, "0")}-${m[3]}` : null;
+}
+
+// NFL weekly box scores: ".../PlayerGameStatsByWeek/2024/5" | ".../TeamGameStats/2024REG/5"
+function endpointWeek(ep) {
+  const m = String(ep).match(/\/(?:PlayerGameStatsByWeek|TeamGameStats)\/(\d{4})([A-Z]*)\/(\d{1,2})$/i);
+  return m ? { season: Number(m[1]), post: /^POST$/i.test(m[2]), week: Number(m[3]) } : null;
+}
+
+// Weeks before the current one are final; postseason weeks only once the season is over
+function weekFinished({ season, post, week }, now) {
+  const cur = nflSeasonWeek(fmtLocalDate(now));
+  if (season !== cur.season) return season < cur.season;
+  return !post && week < cur.week;
+}
+
+// ms to keep a response for `ep`; 0 disables caching
+export function ttlForEndpoint(ep, now = new Date()) {
+  const isOdds = /\/odds\//i.test(ep);
+  const date = endpointDate(ep);
+  if (date) {
+    const today = fmtLocalDate(now);
+    if (/\/projections\//i.test(ep)) return CACHE_TTL.PROJECTIONS;
+    if (date < today) {
+      const settled = new Date(now);
+      settled.setDate(settled.getDate() - 2);
+      return date <= fmtLocalDate(settled) ? CACHE_TTL.PAST_DATE : CACHE_TTL.RECENT_DATE;
+    }
+    return isOdds ? CACHE_TTL.TODAY_ODDS : CACHE_TTL.TODAY_STATS;
+  }
+  if (isOdds) return CACHE_TTL.TODAY_ODDS;
+  if (/\/(CurrentSeason|CurrentWeek)$/i.test(ep)) return CACHE_TTL.CURRENT;
+  if (/\/Players$/i.test(ep)) return CACHE_TTL.PLAYERS;
+  if (/\/(InjuredPlayers|NewsByPlayerID\/\d+)$/i.test(ep)) return CACHE_TTL.INJURIES;
+  if (/\/PlayerSeason(Split)?Stats/i.test(ep)) return CACHE_TTL.SEASON_STATS;
+  const week = endpointWeek(ep);
+  if (week) return weekFinished(week, now) ? CACHE_TTL.PAST_DATE : CACHE_TTL.NFL_WEEK;
+  if (/\/scores\/json\/(Games|Scores)\//i.test(ep)) return CACHE_TTL.SCHEDULE;
+  return CACHE_TTL.DEFAULT;
+}
+
+export class MemoryCacheStore {
+  constructor({ maxEntries = 2000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.map = new Map(); // key → { value, expiresAt }; insertion order doubles as LRU order
+  }
+
+  async get(key) {
+    const hit = this.map.get(key);
+    if (!hit) return undefined;
+    if (hit.expiresAt <= Date.now()) { this.map.delete(key); return undefined; }
+    this.map.delete(key); this.map.set(key, hit);
+    return hit.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.map.delete(key);
+    this.map.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (this.map.size > this.maxEntries) this.map.delete(this.map.keys().next().value);
+  }
+
+  async clear() { this.map.clear(); }
+}
+
+export class DiskCacheStore {
+  constructor({ dir = process.env.SPORTS_DATA_IO_CACHE_DIR || DEFAULT_CACHE_DIR } = {}) {
+    this.dir = dir;
+  }
+
+  _file(key) { return path.join(this.dir, `${createHash("sha1").update(key).digest("hex")}.json`); }
+
+  async get(key) {
+    try {
+      const { expiresAt, value } = JSON.parse(await fs.readFile(this._file(key), "utf8"));
+      if (expiresAt != null && expiresAt <= Date.now()) return undefined;
+      return value;
+    } catch {
+      return undefined;
+    }
+  }
+
+  async set(key, value, ttlMs) {
+    try {
+      const expiresAt = Number.isFinite(ttlMs) ? Date.now() + ttlMs : null; // null = forever
+      await writeFileAtomic(this._file(key), JSON.stringify({ key, expiresAt, value }));
+    } catch (e) {
+      console.warn("[SportsDataIO] cache write failed", String(e?.message || e));
+    }
+  }
+
+  async clear() { await fs.rm(this.dir, { recursive: true, force: true }); }
+}
+
+// One in-memory store per process so every client (and every prop in a batch) shares pulls
+export const sharedMemoryCache = new MemoryCacheStore();
+
+// opts.cache: a store instance, false/"off" to disable, "memory" | "disk"; env SPORTS_DATA_IO_CACHE
+export function resolveCacheStore(cache = process.env.SPORTS_DATA_IO_CACHE) {
+  if (cache && typeof cache === "object") return cache;
+  const kind = String(cache ?? "memory").toLowerCase();
+  if (cache === false || kind === "off" || kind === "false") return null;
+  if (kind === "disk") return new DiskCacheStore();
+  return sharedMemoryCache;
+}
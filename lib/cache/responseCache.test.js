@@ -0,0 +1,33 @@
+// lib/cache/responseCache.test.js — node --test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { CACHE_TTL, ttlForEndpoint } from "./responseCache.js";
+
+const now = new Date(2024, 9, 17, 12, 0); // Thursday of NFL week 7, 2024
+
+test("dated box scores: today short, yesterday hourly, older forever", () => {
+  const ep = (d) => `/v3/nba/stats/json/PlayerGameStatsByDate/${d}`;
+  assert.equal(ttlForEndpoint(ep("2024-10-17"), now), CACHE_TTL.TODAY_STATS);
+  assert.equal(ttlForEndpoint(ep("2024-10-16"), now), CACHE_TTL.RECENT_DATE);
+  assert.equal(ttlForEndpoint(ep("2024-10-15"), now), CACHE_TTL.PAST_DATE);
+  assert.equal(ttlForEndpoint(ep("2024-OCT-10"), now), CACHE_TTL.PAST_DATE);
+});
+
+test("NFL weeks before the current one are kept forever", () => {
+  for (const ep of [
+    "/v3/nfl/stats/json/PlayerGameStatsByWeek/2024/6",
+    "/v3/nfl/stats/json/TeamGameStats/2024/1",
+    "/v3/nfl/stats/json/TeamGameStats/2024REG/6",
+    "/v3/nfl/stats/json/PlayerGameStatsByWeek/2023/18",
+    "/v3/nfl/stats/json/PlayerGameStatsByWeek/2023POST/2",
+  ]) assert.equal(ttlForEndpoint(ep, now), CACHE_TTL.PAST_DATE, ep);
+});
+
+test("the current NFL week (and this season's postseason) stays hourly", () => {
+  for (const ep of [
+    "/v3/nfl/stats/json/PlayerGameStatsByWeek/2024/7",
+    "/v3/nfl/stats/json/TeamGameStats/2024/7",
+    "/v3/nfl/stats/json/TeamGameStats/2024REG/8",
+    "/v3/nfl/stats/json/PlayerGameStatsByWeek/2024POST/1",
+  ]) assert.equal(ttlForEndpoint(ep, now), CACHE_TTL.NFL_WEEK, ep);
+});
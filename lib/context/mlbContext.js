@@ -0,0 +1,107 @@
+// lib/context/mlbContext.js
+// MLB game context for strikeout props: the park K adjustment for the home team's park, the
+// home-plate umpire's K tendency and game-time temperature / roof status. Each one comes back as
+// an additive change to μ (Ks) so the engine can report it on its own line.
+//
+// Local data files (MLB_CONTEXT_DIR, default .data/mlb), both optional:
+//   umpires.json  { "tendencies": { "<umpire>": 1.04 }, "assignments": { "YYYY-MM-DD": { "<HOME>": "<umpire>" } } }
+//   weather.json  { "YYYY-MM-DD": { "<HOME>": { "tempF": 54, "roof": "open" | "closed" } } }
+// Without weather.json the temperature comes from the SportsDataIO game forecast.
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { MLB_PARK_K_ADJ, MLB_PARK_ROOF } from "./parkFactors.js";
+
+export const DEFAULT_MLB_CONTEXT_DIR = path.join(process.cwd(), ".data", "mlb");
+
+const K_PER_START = 5.2;          // league Ks per start the park table is expressed in
+const UMPIRE_RANGE = [0.9, 1.1];  // clamp on umpire K multipliers
+const TEMP_NEUTRAL = 70;          // °F with no weather effect
+const TEMP_PER_DEGREE = 0.001;    // relative Ks per °F below neutral (cold → more Ks)
+const TEMP_CAP = 0.03;
+
+const K_MARKETS = new Set(["strikeouts", "batter_strikeouts"]);
+
+// Strikeout markets only (pitcher and batter)
+export function hasMLBContext(market) {
+  return K_MARKETS.has(market?.stat);
+}
+
+const loaded = new Map(); // dir → Promise<{ umpires, weather }>
+
+async function readJSON(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (e) {
+    if (e?.code === "ENOENT") return null;
+    console.warn("[mlbContext] unreadable", file, e?.message || e);
+    return null;
+  }
+}
+
+export function loadMLBContextData(dir = process.env.MLB_CONTEXT_DIR || DEFAULT_MLB_CONTEXT_DIR) {
+  if (!loaded.has(dir)) {
+    loaded.set(dir, Promise.all([
+      readJSON(path.join(dir, "umpires.json")),
+      readJSON(path.join(dir, "weather.json")),
+    ]).then(([umpires, weather]) => ({ umpires: umpires || {}, weather: weather || {} })));
+  }
+  return loaded.get(dir);
+}
+
+// The player's game from a GamesByDate slate: by team code, else by an opponent token
+export function findTeamGame(games, team, opponent) {
+  const list = Array.isArray(games) ? games : [];
+  const t = String(team || "").toUpperCase();
+  if (t) {
+    const g = list.find(x => x?.HomeTeam === t || x?.AwayTeam === t);
+    if (g) return g;
+  }
+  const toks = String(opponent || "").toUpperCase().replace(/[^A-Z0-9 ]/g, " ").split(/\s+/).filter(Boolean);
+  return list.find(x => toks.includes(x?.HomeTeam) || toks.includes(x?.AwayTeam)) || null;
+}
+
+function forecastTemp(game) {
+  const lo = Number(game?.ForecastTempLow), hi = Number(game?.ForecastTempHigh);
+  if (Number.isFinite(lo) && Number.isFinite(hi)) return (lo + hi) / 2;
+  return Number.isFinite(hi) ? hi : Number.isFinite(lo) ? lo : null;
+}
+
+const signed = (x, digits = 2) => `${x >= 0 ? "+" : "−"}${Math.abs(x).toFixed(digits)}`;
+
+// → { homeTeam, umpire, adjustments: [{ kind, label, factor, delta }], total } | null
+export function mlbContextAdjustments(market, mu, { game, dateStr, data = {}, umpire } = {}) {
+  if (!hasMLBContext(market) || !game?.HomeTeam || !(mu > 0)) return null;
+  const home = game.HomeTeam;
+  const adjustments = [];
+  const add = (kind, factor, note) => {
+    const delta = mu * (factor - 1);
+    adjustments.push({ kind, factor, delta, label: `${note} → ${signed(delta)} K` });
+  };
+
+  const parkK = MLB_PARK_K_ADJ[home];
+  if (Number.isFinite(parkK) && parkK !== 0) {
+    add("park", 1 + parkK / K_PER_START, `Park ${home}: ${signed(parkK)} K/start`);
+  }
+
+  const ump = umpire || data.umpires?.assignments?.[dateStr]?.[home] || null;
+  const tendency = Number(ump ? data.umpires?.tendencies?.[ump] : NaN);
+  if (Number.isFinite(tendency) && tendency > 0) {
+    const f = Math.max(UMPIRE_RANGE[0], Math.min(UMPIRE_RANGE[1], tendency));
+    add("umpire", f, `Umpire ${ump}: ×${f.toFixed(3)} K`);
+  }
+
+  const local = data.weather?.[dateStr]?.[home] || {};
+  const roofType = MLB_PARK_ROOF[home] || null;
+  const roof = local.roof || (roofType === "dome" ? "closed" : roofType ? null : "open");
+  const localTemp = local.tempF == null ? NaN : Number(local.tempF);
+  const temp = Number.isFinite(localTemp) ? localTemp : forecastTemp(game);
+  if (roof === "closed") {
+    add("weather", 1, `Roof closed at ${home}`);
+  } else if (roof === "open" && Number.isFinite(temp)) {
+    const rel = Math.max(-TEMP_CAP, Math.min(TEMP_CAP, (TEMP_NEUTRAL - temp) * TEMP_PER_DEGREE));
+    add("weather", 1 + rel, `Weather ${Math.round(temp)}°F, roof open`);
+  }
+
+  if (!adjustments.length) return null;
+  return { homeTeam: home, umpire: ump, adjustments, total: adjustments.reduce((s, a) => s + a.delta, 0) };
+}
@@ -1,7 +1,7 @@
 // Small, safe MLB park adjustments for strikeouts (Ks).
 // Values are gentle nudges to expected Ks (not probabilities).
 export const MLB_PARK_K_ADJ = {
-  // team code -> additive adjustment to expected Ks (mu)
+  // team code -> additive adjustment to expected Ks (mu) for a typical start
   // Coors (COL) slightly lowers Ks, pitcher-friendly parks tiny bumps
   "COL": -0.30, // Coors Field - hitters' park -> slightly fewer Ks
   "SD":  0.10,
@@ -10,3 +10,15 @@ export const MLB_PARK_K_ADJ = {
   "NYM": 0.05,
   "MIA": 0.05
 };
+
+// Home parks with a roof: "dome" is always closed, "retractable" depends on the day
+export const MLB_PARK_ROOF = {
+  "TB":  "dome",
+  "ARI": "retractable",
+  "HOU": "retractable",
+  "MIA": "retractable",
+  "MIL": "retractable",
+  "SEA": "retractable",
+  "TEX": "retractable",
+  "TOR": "retractable"
+};
@@ -1,6 +1,14 @@
 // lib/engines/gameLinesEngine.js
-// Market-heavy moneyline engine powered by SportsDataIO pregame odds.
+// Market-heavy game-line engine (moneyline, spread/run line, totals) powered by SportsDataIO pregame odds.
 // Safety gate: if no SDIO odds found → PASS with diagnostics.
+import { StatisticalModels } from "../statisticalModels.js";
+import { TeamStrengthModel } from "../models/teamStrength.js";
+import { americanToDecimal, devig } from "../odds/oddsMath.js";
+import { MARGIN_SIGMA, TOTAL_SIGMA } from "../odds/marketSigma.js";
+import { median, shopLines } from "../odds/lineShopping.js";
+import { expectedValue, kellyStake, resolveStakingConfig } from "../odds/staking.js";
+import { getSportAdapter, nflSeasonWeek } from "../sports/sportAdapters.js";
+import { gameSeriesKey, oddsGameDate, sharpFlags, sharpSignal } from "../odds/sharpSignal.js";
 
 function fmtLocalDate(d) {
   const y = d.getFullYear();
@@ -15,20 +23,39 @@ const teamMatches = (toks, s) => {
 };
 const clamp01 = (x) => Math.max(0, Math.min(1, Number.isFinite(+x) ? +x : 0));
 
-function impliedProbFromMoneyline(ml) {
-  const n = Number(ml);
-  if (!Number.isFinite(n) || n === 0) return null;
-  if (n > 0) return 100 / (n + 100);
-  return Math.abs(n) / (Math.abs(n) + 100);
+// "ML" / "" → moneyline, "-3.5" / "+7.5" / "PK" → spread on the input team,
+// "O/U 220.5" / "O 8.5" / "Under 44" / "Total 220.5" → game total.
+// Returns null when the text can't be read as a line, including team-prefixed input like
+// "BOS -1.5": the spread is always quoted for the input team, so the team goes in its own field.
+export function parseGameLine(raw) {
+  const s = String(raw ?? "").trim().replace(/\s+/g, " ");
+  if (!s || /^(ml|moneyline)$/i.test(s)) return { market: "MONEYLINE", side: null, line: null };
+  if (/^(pk|pick|pick'?em)$/i.test(s)) return { market: "SPREAD", side: null, line: 0 };
+
+  const tot = s.match(/^(o\/u|over|under|o|u|total|t)\s*(\d+(?:\.\d+)?)$/i);
+  if (tot) {
+    const k = tot[1].toLowerCase();
+    const side = (k === "o" || k === "over") ? "OVER" : (k === "u" || k === "under") ? "UNDER" : null;
+    return { market: "TOTAL", side, line: parseFloat(tot[2]) };
+  }
+
+  const spr = s.match(/^([+-]?\d+(?:\.\d+)?)$/);
+  if (spr) return { market: "SPREAD", side: null, line: parseFloat(spr[1]) };
+  return null;
 }
 
 export class GameLinesEngine {
-  constructor(apiClient) {
+  constructor(apiClient, opts = {}) {
     this.apiClient = apiClient || null;
+    this.staking = resolveStakingConfig(opts.staking);
     this.usedEndpoints = [];
+    this.errorFlags = [];
     this.dataSource = "fallback";
     this.matchInfo = null;
     this.calibrationFactor = 1.0;
+    this.calibrator = opts.calibrator || null; // fitted Calibrator (lib/models/calibration.js)
+    this.oddsHistory = opts.oddsHistory || null; // OddsHistory (lib/odds/oddsHistory.js); no sharp signal without it
+    this._models = new Map(); // `${sport}:${date}` -> TeamStrengthModel | null
 
     this.thresholds = {
       LOCK_CONFIDENCE: 0.70,
@@ -37,58 +64,255 @@ export class GameLinesEngine {
     };
   }
 
-  _fuse(modelProb, marketProb, sharpSignal = 0, addOnNudges = 0) {
+  // Accepts the analyzer shape ({home, away, line}) as well as {team, opponent, line};
+  // a spread line is quoted for `team` (the home side when coming from the form).
+  normalizeInput(inputRaw) {
+    return {
+      sport: String(inputRaw?.sport || "NBA").toUpperCase(),
+      team: inputRaw?.team || inputRaw?.home || "",
+      opponent: inputRaw?.opponent || inputRaw?.away || "",
+      line: inputRaw?.line ?? "",
+      side: String(inputRaw?.side || "").toUpperCase(),
+      // offered decimal prices (form: home/away; totals: over/under)
+      odds: {
+        home: Number(inputRaw?.odds?.home) || null,
+        away: Number(inputRaw?.odds?.away) || null,
+        over: Number(inputRaw?.odds?.over) || null,
+        under: Number(inputRaw?.odds?.under) || null,
+      },
+      staking: inputRaw?.staking || null,
+      startTime: inputRaw?.startTime || inputRaw?.date || new Date().toISOString(),
+    };
+  }
+
+  validateInput(input) {
+    this.errorFlags = [];
+    for (const field of ["team", "opponent"]) {
+      if (!input || !String(input[field] || "").trim()) this.errorFlags.push(`MISSING_${field.toUpperCase()}`);
+    }
+    if (!parseGameLine(input?.line)) this.errorFlags.push("UNREADABLE_LINE");
+    return this.errorFlags.length === 0;
+  }
+
+  setCalibrator(calibrator) { this.calibrator = calibrator || null; }
+
+  // ctx = { sport, stat } picks the calibrator stratum; scalar factor when none is loaded
+  applyCalibration(prob, ctx = {}) {
+    if (this.calibrator) return this.calibrator.predict(prob, ctx);
+    return prob * this.calibrationFactor;
+  }
+
+  // calibrationCtx === null returns the uncalibrated fusion
+  _fuse(modelProb, marketProb, sharpSignal = 0, addOnNudges = 0, calibrationCtx = {}) {
     const base = 0.25 * modelProb + 0.65 * marketProb + 0.10 * (0.5 + sharpSignal);
-    return clamp01((base + addOnNudges) * this.calibrationFactor);
+    const fused = clamp01(base + addOnNudges);
+    return calibrationCtx === null ? fused : clamp01(this.applyCalibration(fused, calibrationCtx));
   }
 
   _inferNFLSeasonWeek(dateStr) {
-    const d = new Date(dateStr);
-    let season = d.getFullYear();
-    const month = d.getMonth() + 1;
-    if (month < 3) season -= 1; // Jan/Feb → previous season
-    const sep1 = new Date(season, 8, 1);
-    const firstThu = new Date(sep1);
-    while (firstThu.getDay() !== 4) firstThu.setDate(firstThu.getDate() + 1);
-    const diffDays = Math.floor((d - firstThu) / 86400000);
-    let week = Math.max(1, Math.min(22, Math.floor(diffDays / 7) + 1));
-    return { season, week };
-  }
-
-  async _fetchOdds(sport, dateOrWeek) {
-    if (!this.apiClient) return [];
+    return nflSeasonWeek(dateStr);
+  }
+
+  // SportsDataIO season label for the date (see each sport adapter's seasonFor)
+  _inferSeason(sport, dateStr) {
+    const adapter = getSportAdapter(sport);
+    return adapter ? adapter.seasonFor(dateStr) : new Date(dateStr).getFullYear();
+  }
+
+  // handed to sport adapters: endpoint tags land in usedEndpoints
+  _adapterCtx() {
+    return { client: this.apiClient, track: (tag) => this.usedEndpoints.push(tag) };
+  }
+
+  async _fetchSeasonGames(sport, season) {
+    const adapter = getSportAdapter(sport);
+    if (!this.apiClient || !adapter) return [];
+    return adapter.fetchSeasonGames(this._adapterCtx(), season);
+  }
+
+  // Elo/scoring model from last season (regressed) + this season, using only games before dateStr
+  async _teamModel(sport, dateStr) {
+    const key = `${sport}:${dateStr}`;
+    if (this._models.has(key)) return this._models.get(key);
+
+    const season = this._inferSeason(sport, dateStr);
+    const prev = await this._fetchSeasonGames(sport, season - 1);
+    const cur = await this._fetchSeasonGames(sport, season);
+    let model = null;
+    if (prev.length || cur.length) {
+      model = new TeamStrengthModel(sport);
+      model.fit(prev, dateStr);
+      model.newSeason();
+      model.fit(cur, dateStr);
+      if (model.gamesRated === 0) model = null;
+    }
+    this._models.set(key, model);
+    return model;
+  }
+
+  // Model probability for the team (moneyline/spread) or the over (total), same conventions as _bookQuote
+  _modelSideProbability(pred, input, teamIsHome) {
+    const { market, line } = input.market;
+    if (market === "MONEYLINE") {
+      return teamIsHome ? pred.homeWinProb : 1 - pred.homeWinProb;
+    }
+    if (market === "SPREAD") return this._probAtLine(pred.expectedMargin, line, input, teamIsHome);
+    if (market === "TOTAL" && Number.isFinite(pred.expectedTotal)) {
+      return this._probAtLine(pred.expectedTotal, line, input, teamIsHome);
+    }
+    return null;
+  }
+
+  // Pregame odds for the slate around dateStr (by date, or by week for NFL)
+  async _fetchOdds(sport, dateStr) {
+    const adapter = getSportAdapter(sport);
+    if (!this.apiClient || !adapter) return [];
+    return adapter.fetchGameOdds(this._adapterCtx(), dateStr);
+  }
+
+  // Line movement on the matched game's market from the recorded price history (home / over signed)
+  async _sharpSignal(input, matched, home, away, dateStr) {
+    if (!this.oddsHistory) return null;
     try {
-      if (sport === "MLB" && this.apiClient.getMLBGameOdds) {
-        const r = await this.apiClient.getMLBGameOdds(dateOrWeek);
-        this.usedEndpoints.push(`MLB:game-odds:${dateOrWeek}`);
-        return Array.isArray(r) ? r : [];
-      }
-      if (sport === "NBA" && this.apiClient.getNBAGameOdds) {
-        const r = await this.apiClient.getNBAGameOdds(dateOrWeek);
-        this.usedEndpoints.push(`NBA:game-odds:${dateOrWeek}`);
-        return Array.isArray(r) ? r : [];
-      }
-      if (sport === "WNBA" && this.apiClient.getWNBAGameOdds) {
-        const r = await this.apiClient.getWNBAGameOdds(dateOrWeek);
-        this.usedEndpoints.push(`WNBA:game-odds:${dateOrWeek}`);
-        return Array.isArray(r) ? r : [];
-      }
-      if (sport === "NFL" && this.apiClient.getNFLGameOdds) {
-        const r = await this.apiClient.getNFLGameOdds(dateOrWeek);
-        this.usedEndpoints.push(`NFL:game-odds:${dateOrWeek}`);
-        return Array.isArray(r) ? r : [];
+      const key = gameSeriesKey(input.sport, oddsGameDate(matched, dateStr), away, home, input.market.market);
+      const start = new Date(input.startTime).getTime();
+      return sharpSignal(await this.oddsHistory.series(key), { asOf: Number.isFinite(start) ? start : Infinity });
+    } catch {
+      return null;
+    }
+  }
+
+  _passResult(input, dataSource, note, extra = {}) {
+    return {
+      side: input.team,
+      game: input.team && input.opponent ? `${input.team} vs ${input.opponent}` : input.team,
+      market: input.market?.market || null,
+      line: String(input.line ?? ""),
+      suggestion: input.market?.market || "MONEYLINE",
+      decision: "PASS",
+      finalConfidence: 49.9,
+      suggestedStake: 0,
+      flags: [...this.errorFlags],
+      rawNumbers: { marketProbability: 0.5, modelProbability: 0.5, fusedProbability: 0.5 },
+      meta: { dataSource, usedEndpoints: this.usedEndpoints, note, ...extra }
+    };
+  }
+
+  // Probability that `team` covers / the game goes over `line`, given an implied mean
+  // (home margin or total) from a book or the consensus, via a Normal margin/total model.
+  _probAtLine(mu, line, input, teamIsHome) {
+    const { market } = input.market;
+    if (market === "SPREAD") {
+      const sigma = MARGIN_SIGMA[input.sport] ?? 12.0;
+      return clamp01(teamIsHome
+        ? StatisticalModels.calculateNormalTail(mu, sigma, -line)
+        : 1 - StatisticalModels.calculateNormalTail(mu, sigma, line));
+    }
+    if (market === "TOTAL") {
+      const sigma = TOTAL_SIGMA[input.sport] ?? 15.0;
+      return clamp01(StatisticalModels.calculateNormalTail(mu, sigma, line));
+    }
+    return null;
+  }
+
+  // Probability the final margin/total lands exactly on a whole-number line (stake refunded)
+  _pushAtLine(mu, line, input, teamIsHome) {
+    const { market } = input.market;
+    if (!Number.isFinite(mu) || !Number.isFinite(line)) return 0;
+    if (market === "SPREAD") {
+      // home margin M: the home side pushes at M = -line, the away side at M = line
+      return StatisticalModels.normalOutcome(mu, MARGIN_SIGMA[input.sport] ?? 12.0, teamIsHome ? -line : line).pPush;
+    }
+    if (market === "TOTAL") return StatisticalModels.normalOutcome(mu, TOTAL_SIGMA[input.sport] ?? 15.0, line).pPush;
+    return 0;
+  }
+
+  // One book's read of the market: implied mean (home win prob for moneylines), the
+  // team/over probability at the requested line, and the prices on both sides.
+  _bookQuote(book, input, teamIsHome) {
+    const { market, line } = input.market;
+    const name = book?.Sportsbook ?? book?.SportsbookDisplayName ?? "book";
+
+    if (market === "MONEYLINE") {
+      const h = Number(book?.HomeMoneyLine);
+      const a = Number(book?.AwayMoneyLine);
+      if (!Number.isFinite(h) || !Number.isFinite(a)) return null;
+      const [mHome, mAway] = devig(h, a);
+      return {
+        book: name, mu: mHome, bookLine: null,
+        prob: teamIsHome ? mHome : mAway,
+        yesPrice: teamIsHome ? h : a, noPrice: teamIsHome ? a : h,
+        prices: { mlHome: h, mlAway: a },
+      };
+    }
+
+    if (market === "SPREAD") {
+      const hs = Number(book?.HomePointSpread);
+      if (!Number.isFinite(hs)) return null;
+      const hp = Number(book?.HomePointSpreadPayout);
+      const ap = Number(book?.AwayPointSpreadPayout);
+      const [pHomeCover] = devig(hp, ap);
+      const sigma = MARGIN_SIGMA[input.sport] ?? 12.0;
+      // home margin M ~ N(mu, sigma): P(M > -hs) = pHomeCover
+      const mu = -hs + sigma * StatisticalModels.normalQuantile(pHomeCover);
+      return {
+        book: name, mu, bookLine: teamIsHome ? hs : -hs,
+        prob: this._probAtLine(mu, line, input, teamIsHome),
+        yesPrice: teamIsHome ? hp : ap, noPrice: teamIsHome ? ap : hp,
+        prices: { homeSpread: hs, homeSpreadPrice: hp, awaySpreadPrice: ap },
+      };
+    }
+
+    if (market === "TOTAL") {
+      const total = Number(book?.OverUnder);
+      if (!Number.isFinite(total)) return null;
+      const op = Number(book?.OverPayout);
+      const up = Number(book?.UnderPayout);
+      const [pOver] = devig(op, up);
+      const sigma = TOTAL_SIGMA[input.sport] ?? 15.0;
+      const mu = total + sigma * StatisticalModels.normalQuantile(pOver);
+      return {
+        book: name, mu, bookLine: total,
+        prob: this._probAtLine(mu, line, input, teamIsHome),
+        yesPrice: op, noPrice: up,
+        prices: { total, overPrice: op, underPrice: up },
+      };
+    }
+    return null;
+  }
+
+  // Side-specific quotes → consensus no-vig probability, best price (ranked by EV at the
+  // consensus, so a better number counts as much as a better price) and outlier books.
+  _shop(quotes, input, teamIsHome, side) {
+    const under = side === "UNDER";
+    const consensusMu = input.market.market === "MONEYLINE" ? null : median(quotes.map(q => q.mu));
+    const sideQuotes = quotes.map(q => ({
+      book: q.book,
+      line: q.bookLine,
+      price: under ? q.noPrice : q.yesPrice,
+      prob: under ? 1 - q.prob : q.prob,
+    }));
+    return shopLines(sideQuotes, {
+      fairProbAt: consensusMu == null ? null : (q) => {
+        const pYes = this._probAtLine(consensusMu, q.line, input, teamIsHome);
+        return under ? 1 - pYes : pYes;
       }
-    } catch {}
-    return [];
+    });
   }
 
   async evaluateGame(inputRaw) {
-    const input = {
-      sport: String(inputRaw?.sport || "NBA").toUpperCase(),
-      team: inputRaw?.team || "",
-      opponent: inputRaw?.opponent || "",
-      startTime: inputRaw?.startTime || new Date().toISOString(),
-    };
+    const input = this.normalizeInput(inputRaw);
+    this.usedEndpoints = [];
+    this.matchInfo = null;
+    this.validateInput(input);
+
+    input.market = parseGameLine(input.line);
+    if (!input.market) {
+      return this._passResult({ ...input, market: null }, "fallback", `Unreadable line "${input.line}"`);
+    }
+    if (input.market.market === "TOTAL" && (input.side === "OVER" || input.side === "UNDER")) {
+      input.market.side = input.side;
+    }
 
     // Date string (local)
     let dateStr;
@@ -101,43 +325,11 @@ export class GameLinesEngine {
     }
 
     // Pull odds
-    let oddsList = [];
-    if (input.sport === "NFL") {
-      // for NFL we pull by week
-      const { week } = this._inferNFLSeasonWeek(dateStr);
-      oddsList = await this._fetchOdds("NFL", week);
-      if (!oddsList.length) {
-        for (let wOff = -1; wOff >= -3 && !oddsList.length; wOff--) {
-          const { week: tryW } = this._inferNFLSeasonWeek(dateStr);
-          const w2 = Math.max(1, tryW + wOff);
-          const tmp = await this._fetchOdds("NFL", w2);
-          if (tmp.length) oddsList = tmp;
-        }
-      }
-    } else {
-      // by date; try date / date-1 / date+1
-      const base = new Date(dateStr);
-      const choices = [0, -1, 1].map(off => {
-        const d = new Date(base);
-        d.setDate(d.getDate() + off);
-        return fmtLocalDate(d);
-      });
-      for (const ds of choices) {
-        const tmp = await this._fetchOdds(input.sport, ds);
-        if (tmp.length) { oddsList = tmp; break; }
-      }
-    }
+    const oddsList = await this._fetchOdds(input.sport, dateStr);
 
     if (!oddsList.length) {
       this.dataSource = "fallback";
-      return {
-        side: input.team,
-        suggestion: "MONEYLINE",
-        decision: "PASS",
-        finalConfidence: 49.9,
-        rawNumbers: { marketProbability: 0.5, modelProbability: 0.5, fusedProbability: 0.5 },
-        meta: { dataSource: "fallback", usedEndpoints: this.usedEndpoints, note: "No odds found" }
-      };
+      return this._passResult(input, "fallback", "No odds found");
     }
 
     // Match the game with team/opponent
@@ -155,87 +347,185 @@ export class GameLinesEngine {
 
     if (!matched) {
       this.dataSource = "sportsdata";
-      return {
-        side: input.team,
-        suggestion: "MONEYLINE",
-        decision: "PASS",
-        finalConfidence: 49.9,
-        rawNumbers: { marketProbability: 0.5, modelProbability: 0.5, fusedProbability: 0.5 },
-        meta: { dataSource: "sportsdata", usedEndpoints: this.usedEndpoints, note: "No matching teams" }
-      };
+      return this._passResult(input, "sportsdata", "No matching teams");
     }
 
-    // Read moneylines (some feeds nest under PregameOdds)
-    let mlHome = null, mlAway = null, book = "book";
+    const homeTeam = matched?.HomeTeam ?? matched?.HomeTeamName ?? "";
+    const awayTeam = matched?.AwayTeam ?? matched?.AwayTeamName ?? "";
+    const teamIsHome = teamMatches(tokens(input.team), homeTeam);
+
+    // Collect every book's prices (some feeds nest under PregameOdds)
     const books = Array.isArray(matched?.PregameOdds) ? matched.PregameOdds :
-                  (Array.isArray(matched?.Odds) ? matched.Odds : null);
-
-    if (Array.isArray(books)) {
-      for (const b of books) {
-        const h = Number(b?.HomeMoneyLine);
-        const a = Number(b?.AwayMoneyLine);
-        if (Number.isFinite(h) && Number.isFinite(a)) {
-          mlHome = h; mlAway = a; book = b?.Sportsbook ?? b?.SportsbookDisplayName ?? "book";
-          break;
-        }
-      }
-    } else {
-      mlHome = Number(matched?.HomeMoneyLine);
-      mlAway = Number(matched?.AwayMoneyLine);
-    }
+                  (Array.isArray(matched?.Odds) ? matched.Odds : [matched]);
+    const quotes = books
+      .filter(b => !/consensus/i.test(String(b?.Sportsbook ?? "")))
+      .map(b => this._bookQuote(b, input, teamIsHome))
+      .filter(q => q && Number.isFinite(q.prob));
 
-    if (!Number.isFinite(mlHome) || !Number.isFinite(mlAway)) {
+    if (!quotes.length) {
       this.dataSource = "sportsdata";
-      return {
-        side: input.team,
-        suggestion: "MONEYLINE",
-        decision: "PASS",
-        finalConfidence: 49.9,
-        rawNumbers: { marketProbability: 0.5, modelProbability: 0.5, fusedProbability: 0.5 },
-        meta: { dataSource: "sportsdata", usedEndpoints: this.usedEndpoints, note: "No moneyline prices" }
-      };
+      const what = input.market.market === "MONEYLINE" ? "moneyline" :
+                   input.market.market === "SPREAD" ? "spread" : "total";
+      return this._passResult(input, "sportsdata", `No ${what} prices`);
+    }
+
+    // Side being evaluated: totals pick the stronger of over/under unless one was asked for
+    let suggestion;
+    if (input.market.market === "TOTAL") {
+      suggestion = input.market.side || (median(quotes.map(q => q.prob)) >= 0.5 ? "OVER" : "UNDER");
+    } else {
+      suggestion = input.market.market === "SPREAD"
+        ? (input.sport === "MLB" ? "RUN_LINE" : input.sport === "NHL" ? "PUCK_LINE" : "SPREAD")
+        : "MONEYLINE";
     }
 
-    // Convert to implied probabilities, normalize
-    const pHome = impliedProbFromMoneyline(mlHome) ?? 0.5;
-    const pAway = impliedProbFromMoneyline(mlAway) ?? 0.5;
-    const norm = pHome + pAway;
-    const mHome = norm > 0 ? pHome / norm : 0.5;
-    const mAway = norm > 0 ? pAway / norm : 0.5;
+    // Line shopping: consensus is the market probability, the best book is where we'd bet
+    const shop = this._shop(quotes, input, teamIsHome, suggestion);
+    const marketProb = shop.consensusProb;
+    const bestQuote = quotes.find(q => q.book === shop.best?.book) || quotes[0];
+    const book = bestQuote.book;
+    // team-cover / over probability at the requested line (consensus)
+    const yesProb = suggestion === "UNDER" ? 1 - marketProb : marketProb;
 
-    const homeTeam = matched?.HomeTeam ?? matched?.HomeTeamName ?? "";
-    const userWantsHome = teamMatches(tokens(input.team), homeTeam);
-    const marketProb = userWantsHome ? mHome : mAway;
+    // Team-strength model; without rated history the market stands in for the model
+    const model = await this._teamModel(input.sport, dateStr);
+    const pred = model ? model.predict({ home: homeTeam, away: awayTeam, date: dateStr }) : null;
+    let modelProb = marketProb, modelSource = "market";
+    const topDrivers = [];
+    if (pred) {
+      const pSide = this._modelSideProbability(pred, input, teamIsHome);
+      if (Number.isFinite(pSide)) {
+        modelProb = clamp01(suggestion === "UNDER" ? 1 - pSide : pSide);
+        modelSource = "elo";
+      }
+      topDrivers.push(
+        `Elo ${homeTeam} ${pred.homeElo.toFixed(0)} vs ${awayTeam} ${pred.awayElo.toFixed(0)} (home +${model.params.hfa})`,
+        `Rest days: ${homeTeam} ${pred.restHome ?? "?"}, ${awayTeam} ${pred.restAway ?? "?"}`,
+        `Model home win=${pred.homeWinProb.toFixed(3)}, margin=${pred.expectedMargin.toFixed(1)}` +
+          (Number.isFinite(pred.expectedTotal) ? `, total=${pred.expectedTotal.toFixed(1)}` : "")
+      );
+    }
+    topDrivers.push(`Model p=${modelProb.toFixed(3)} (${modelSource}), Market p=${marketProb.toFixed(3)} (consensus of ${shop.books})`);
+    if (shop.best) {
+      topDrivers.push(`Best price: ${shop.best.book} ${shop.best.price > 0 ? "+" : ""}${shop.best.price}` +
+        (shop.best.line != null ? ` at ${shop.best.line}` : "") + ` (EV@consensus ${(shop.best.ev * 100).toFixed(1)}%)`);
+    }
+    if (shop.outliers.length) {
+      topDrivers.push(`Outlier books: ${shop.outliers.map(o => `${o.book} (${o.deviation > 0 ? "+" : ""}${(o.deviation * 100).toFixed(1)}pp)`).join(", ")}`);
+    }
+
+    // Sharp signal from line movement, turned toward the evaluated side
+    const sharp = await this._sharpSignal(input, matched, homeTeam, awayTeam, dateStr);
+    const sideSign = input.market.market === "TOTAL" ? (suggestion === "UNDER" ? -1 : 1) : (teamIsHome ? 1 : -1);
+    const sharpSide = (sharp?.signal ?? 0) * sideSign;
+    if (sharp) topDrivers.push(`Sharp ${sharpSide >= 0 ? "+" : ""}${sharpSide.toFixed(3)} toward ${input.market.market === "TOTAL" ? suggestion.toLowerCase() : input.team}: ${sharp.label}`);
 
     // House-first fusion (market-heavy)
-    const modelProb = 0.5; // placeholder
-    const fused = this._fuse(modelProb, marketProb, 0, 0);
-    const finalConfidence = Math.round(fused * 1000) / 10;
+    const fusedRaw = this._fuse(modelProb, marketProb, sharpSide, 0, null);
+    const fused = clamp01(this.applyCalibration(fusedRaw, { sport: input.sport, stat: input.market.market.toLowerCase() }));
+
+    // fused is P(side | no push); whole-number spreads/totals can land on the number.
+    // Confidence counts a push as half a win (the even-money break-even equivalent).
+    const pushProb = this._pushAtLine(median(quotes.map(q => q.mu)), input.market.line, input, teamIsHome);
+    const winProb = fused * (1 - pushProb);
+    const finalConfidence = Math.round((winProb + pushProb / 2) * 1000) / 10;
 
     const decision =
       finalConfidence >= this.thresholds.LOCK_CONFIDENCE * 100 ? "LOCK" :
       finalConfidence >= this.thresholds.STRONG_LEAN * 100 ? "STRONG_LEAN" :
       finalConfidence >= this.thresholds.LEAN * 100 ? "LEAN" : "PASS";
 
+    // EV and fractional Kelly at the offered price (form odds if given, else the best book)
+    const offered =
+      input.market.market === "TOTAL" ? (suggestion === "UNDER" ? input.odds.under : input.odds.over) :
+      (teamIsHome ? input.odds.home : input.odds.away);
+    const price = offered > 1 ? offered : (shop.best?.decimal ?? americanToDecimal(bestQuote.yesPrice));
+    const ev = expectedValue(winProb, price, pushProb);
+    const staking = resolveStakingConfig(this.staking, input.staking);
+    const kelly = kellyStake(winProb, price, staking, pushProb);
+    const suggestedStake = decision === "PASS" ? 0 : kelly.stakePct;
+    topDrivers.push(`EV ${ev == null ? "n/a" : `${(ev * 100).toFixed(1)}%`} at ${price?.toFixed?.(3) ?? "n/a"}` +
+      ` (${offered > 1 ? "offered" : "best book"}), Kelly ${(kelly.fullKelly * 100).toFixed(1)}% × ${staking.kellyFraction}`);
+
     this.dataSource = "sportsdata";
     this.matchInfo = {
       home: homeTeam,
-      away: matched?.AwayTeam ?? matched?.AwayTeamName ?? "",
-      book, mlHome, mlAway,
-      marketHome: mHome, marketAway: mAway
+      away: awayTeam,
+      teamIsHome,
+      market: input.market.market,
+      book,
+      bookLine: bestQuote.bookLine,
+      ...bestQuote.prices,
     };
 
+    const rawNumbers = {
+      marketProbability: Number(marketProb.toFixed(3)),
+      modelProbability: Number(modelProb.toFixed(3)),
+      fusedProbability: Number(fused.toFixed(3)),
+      uncalibratedProbability: Number(fusedRaw.toFixed(3)),
+      pushProbability: Number(pushProb.toFixed(3)),
+      winProbability: Number(winProb.toFixed(3)),
+      evPerUnit: ev == null ? null : Number(ev.toFixed(3)),
+      kellyFraction: Number(kelly.fullKelly.toFixed(3)),
+      sharpSignal: Number(sharpSide.toFixed(3)),
+    };
+    if (input.market.market === "SPREAD") {
+      rawNumbers.coverProbability = Number(yesProb.toFixed(3));
+    } else if (input.market.market === "TOTAL") {
+      rawNumbers.overProbability = Number(yesProb.toFixed(3));
+      rawNumbers.underProbability = Number((1 - yesProb).toFixed(3));
+    }
+
+    const lineText = input.market.market === "MONEYLINE" ? "ML" :
+                     input.market.market === "SPREAD" ? (input.market.line > 0 ? `+${input.market.line}` : `${input.market.line}`) :
+                     `${suggestion === "UNDER" ? "U" : "O"} ${input.market.line}`;
+
     return {
       side: input.team,
-      suggestion: "MONEYLINE",
+      game: `${awayTeam} @ ${homeTeam}`,
+      market: input.market.market,
+      line: lineText,
+      suggestion,
       decision,
       finalConfidence,
-      rawNumbers: {
-        marketProbability: Number(marketProb.toFixed(3)),
-        modelProbability: Number(modelProb.toFixed(3)),
-        fusedProbability: Number(fused.toFixed(3)),
+      price: { decimal: price, source: offered > 1 ? "offered" : "best book", book: offered > 1 ? null : book },
+      suggestedStake,
+      stake: {
+        pct: suggestedStake,
+        units: decision === "PASS" ? 0 : kelly.stakeUnits,
+        fullKelly: Number(kelly.fullKelly.toFixed(3)),
+        capped: kelly.capped,
+        ...staking,
+      },
+      topDrivers,
+      flags: [
+        ...this.errorFlags,
+        ...(modelSource === "market" ? ["NO_TEAM_MODEL"] : []),
+        ...(pushProb >= 0.05 ? ["PUSH_RISK"] : []),
+        ...sharpFlags(sharp, sideSign),
+        ...(this.calibrator ? ["CALIBRATED"] : []),
+      ],
+      rawNumbers,
+      lineShopping: {
+        consensusProbability: Number(marketProb.toFixed(3)),
+        books: shop.books,
+        best: shop.best ? {
+          book: shop.best.book,
+          line: shop.best.line,
+          price: shop.best.price,
+          decimal: Number(shop.best.decimal.toFixed(3)),
+          ev: Number(shop.best.ev.toFixed(4)),
+        } : null,
+        outliers: shop.outliers.map(o => ({ ...o, prob: Number(o.prob.toFixed(3)), deviation: Number(o.deviation.toFixed(3)) })),
+        quotes: shop.quotes.map(q => ({ book: q.book, line: q.line, price: q.price, prob: Number(q.prob.toFixed(3)) })),
       },
-      meta: { dataSource: this.dataSource, usedEndpoints: this.usedEndpoints, matchInfo: this.matchInfo }
+      meta: {
+        dataSource: this.dataSource,
+        usedEndpoints: this.usedEndpoints,
+        matchInfo: this.matchInfo,
+        model: pred ? { source: modelSource, ...pred, gamesRated: model.gamesRated } : { source: modelSource },
+        sharp,
+      }
     };
   }
 }
@@ -0,0 +1,42 @@
+// lib/engines/gameLinesEngine.test.js — node --test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { GameLinesEngine, parseGameLine } from "./gameLinesEngine.js";
+
+test("moneyline: empty, ML, moneyline", () => {
+  for (const raw of ["", "  ", null, undefined, "ML", "ml", "Moneyline"]) {
+    assert.deepEqual(parseGameLine(raw), { market: "MONEYLINE", side: null, line: null }, String(raw));
+  }
+});
+
+test("spread: signed or bare numbers and pick'em, quoted for the input team", () => {
+  assert.deepEqual(parseGameLine("-3.5"), { market: "SPREAD", side: null, line: -3.5 });
+  assert.deepEqual(parseGameLine("+7.5"), { market: "SPREAD", side: null, line: 7.5 });
+  assert.deepEqual(parseGameLine("1.5"), { market: "SPREAD", side: null, line: 1.5 });
+  assert.deepEqual(parseGameLine(" -10 "), { market: "SPREAD", side: null, line: -10 });
+  for (const raw of ["PK", "pick", "pickem", "Pick'em"]) {
+    assert.deepEqual(parseGameLine(raw), { market: "SPREAD", side: null, line: 0 }, raw);
+  }
+});
+
+test("total: O/U, over / under, O / U, total", () => {
+  assert.deepEqual(parseGameLine("O/U 220.5"), { market: "TOTAL", side: null, line: 220.5 });
+  assert.deepEqual(parseGameLine("o/u220.5"), { market: "TOTAL", side: null, line: 220.5 });
+  assert.deepEqual(parseGameLine("O 8.5"), { market: "TOTAL", side: "OVER", line: 8.5 });
+  assert.deepEqual(parseGameLine("Over 44"), { market: "TOTAL", side: "OVER", line: 44 });
+  assert.deepEqual(parseGameLine("Under 44"), { market: "TOTAL", side: "UNDER", line: 44 });
+  assert.deepEqual(parseGameLine("u 6"), { market: "TOTAL", side: "UNDER", line: 6 });
+  assert.deepEqual(parseGameLine("Total 220.5"), { market: "TOTAL", side: null, line: 220.5 });
+});
+
+test("team-prefixed and other free text is rejected", () => {
+  for (const raw of ["BOS -1.5", "NYK +3", "-3.5 BOS", "Celtics ML", "O/U", "over", "-3.5 / O/U 220.5", "3-5", "220.5 total", "+-3"]) {
+    assert.equal(parseGameLine(raw), null, raw);
+  }
+});
+
+test("validateInput flags an unreadable line", () => {
+  const engine = new GameLinesEngine(null);
+  assert.equal(engine.validateInput({ sport: "NBA", team: "BOS", opponent: "NYK", line: "BOS -1.5" }), false);
+  assert.ok(engine.errorFlags.includes("UNREADABLE_LINE"));
+});
@@ -1,5 +1,13 @@
 // lib/engines/playerPropsEngine.js
 import { StatisticalModels } from "../statisticalModels.js";
+import { expectedValue, kellyStake, resolveStakingConfig } from "../odds/staking.js";
+import { PlayerDirectory, nameMatcher } from "../players/playerDirectory.js";
+import { parsePropMarket, parsePropText } from "../markets/propMarkets.js";
+import { getSportAdapter } from "../sports/sportAdapters.js";
+import { MatchupModel } from "../models/matchup.js";
+import { MINUTES_PARAMS, minutesOf, projectMinutes, teamSpread } from "../models/minutes.js";
+import { BLOCKING_STATUSES, injuryFacts, newsFacts, usageFromTeammates } from "../players/availability.js";
+import { oddsGameDate, propSeriesKey, sharpFlags, sharpSignal, teamOddsRow } from "../odds/sharpSignal.js";
 
 const SMART = String(process.env.SMART_OVERLAYS || "").toUpperCase() === "ON";
 
@@ -14,49 +22,103 @@ function fmtLocalDate(d) {
   return `${y}-${m}-${day}`;
 }
 
-// STRICT: per-game pitcher strikeouts; avoid batting Ks/rates
-function _mlbStrikeoutsFromRow(row) {
-  const fields = ["PitchingStrikeouts", "PitcherStrikeouts", "StrikeoutsPitched"];
-  for (const k of fields) {
-    const v = Number(row?.[k]);
-    if (Number.isFinite(v)) return v;
+// whole-token match with accent folding; "(LIB)" style team hints are ignored
+function _nameMatcherFactory(inputName) {
+  return nameMatcher(inputName);
+}
+function _uniqPush(arr, v) { if (!arr.includes(v)) arr.push(v); }
+
+// Matchup models per response cache (or client) and sport:dateStr. The game-log window is the same
+// for every prop on a slate, so it is pulled once; the endpoint tags are kept so later props still
+// list them. Failed builds are dropped so the next prop retries.
+const MATCHUP_MODELS = new WeakMap();
+const MATCHUP_MODELS_MAX = 8; // slates kept per store, oldest evicted first
+
+function cachedMatchupModel(client, adapter, dateStr) {
+  const owner = client.cache || client;
+  let models = MATCHUP_MODELS.get(owner);
+  if (!models) MATCHUP_MODELS.set(owner, models = new Map());
+  const key = `${adapter.sport}:${dateStr}`;
+  if (!models.has(key)) {
+    const tags = [];
+    const ctx = { client, track: (tag) => tags.push(tag) };
+    const build = (async () => {
+      const model = new MatchupModel(adapter.sport)
+        .addTeamGames(await adapter.fetchTeamGameLogs(ctx, dateStr))
+        .addPlayerGames(await adapter.fetchPlayerGameLogs(ctx, dateStr));
+      return { model, tags };
+    })();
+    build.catch(() => models.delete(key));
+    models.set(key, build);
+    if (models.size > MATCHUP_MODELS_MAX) models.delete(models.keys().next().value);
   }
+  return models.get(key);
+}
 
-  // Derive from rate only if we also have game IP
-  const k9Val = row?.PitchingStrikeoutsPerNine ?? row?.StrikeoutsPerNine;
-  const ipVal = row?.PitchingInningsPitchedDecimal ?? row?.InningsPitchedDecimal ?? row?.InningsPitched;
+// "Matchup vs BOS (position:G): allowed 48.20 vs league 45.50 over 9 g → ×1.04"
+// "Matchup vs BOS (lineup:vsRHP): allowed 24.1% K vs league 22.3% K over 9 batters → ×1.081"
+function matchupDriver(m) {
+  const fmt = (x) => (/^(k_rate|lineup|split)/.test(m.basis) ? `${(x * 100).toFixed(1)}% K` : x.toFixed(2));
+  return `Matchup vs ${m.opponent} (${m.basis}): allowed ${fmt(m.allowed)} vs league ${fmt(m.league)} over ${m.sample ?? `${m.games} g`} → ×${m.factor.toFixed(3)}`;
+}
 
-  const k9 = Number(k9Val);
-  const ip = Number(ipVal);
+// "Minutes 31.2 proj vs 34.0 base (starter, B2B, blowout 8%) → ×0.918"
+function minutesDriver(m) {
+  if (m.out) return `Minutes override ${m.minutes.toFixed(1)} vs ${m.baseline.toFixed(1)} base → not expected to play, PASS`;
+  const notes = [
+    m.source === "override" ? "override" : null,
+    m.starter == null ? null : m.starter ? "starter" : "bench",
+    m.backToBack ? "B2B" : null,
+    m.blowoutRisk >= 0.01 ? `blowout ${(m.blowoutRisk * 100).toFixed(0)}%` : null,
+  ].filter(Boolean);
+  return `Minutes ${m.minutes.toFixed(1)} proj vs ${m.baseline.toFixed(1)} base${notes.length ? ` (${notes.join(", ")})` : ""} → ×${m.factor.toFixed(3)}`;
+}
 
-  if (Number.isFinite(k9) && Number.isFinite(ip) && ip > 0) {
-    const k = (k9 * ip) / 9;
-    if (Number.isFinite(k)) return k;
-  }
+function minutesFlags(m) {
+  if (!m) return [];
+  return [
+    m.source === "override" ? "MINUTES_OVERRIDE" : null,
+    m.out ? "MINUTES_OVERRIDE_ZERO" : null,
+    m.backToBack ? "BACK_TO_BACK" : null,
+    m.blowoutRisk >= 0.05 ? "BLOWOUT_RISK" : null,
+  ].filter(Boolean);
+}
 
-  // Never return batting "Strikeouts" or generic "Ks" as a last resort
-  return NaN;
+// "Usage ×1.08: teammates out — A. Smith (OUT, 22.1/g), B. Jones (DOUBTFUL, 9.4/g)"
+function usageDriver(u) {
+  const list = u.teammates.map(t => `${t.name} (${t.status}, ${t.perGame.toFixed(1)}/g)`).join(", ");
+  return `Usage ×${u.factor.toFixed(3)}: teammates out — ${list}`;
 }
 
-function _nameMatcherFactory(inputName) {
-  const toks = String(inputName || "").toLowerCase().split(/\s+/).filter(Boolean);
-  return (candidate) => {
-    const c = String(candidate || "").toLowerCase();
-    return toks.length > 0 && toks.every(t => c.includes(t));
-  };
+// "Points 23.5" → "points", "P+R 30.5" → "pr" (ledger/calibration stratum key)
+export function propTypeOf(prop, sport) {
+  const market = sport ? parsePropMarket(sport, prop) : null;
+  if (market) return market.stat;
+  return String(prop || "").replace(/[-+]?\d+(\.\d+)?/g, "").replace(/\s+/g, " ").trim().toLowerCase() || "unknown";
 }
-function _uniqPush(arr, v) { if (!arr.includes(v)) arr.push(v); }
 
 export class PlayerPropsEngine {
-  constructor(apiClient) {
+  constructor(apiClient, opts = {}) {
     this.apiClient = apiClient || null;
+    this.staking = resolveStakingConfig(opts.staking);
     this.errorFlags = [];
     this.dataSource = "fallback";
     this.usedEndpoints = [];
     this.matchedName = "";
+    this.matchedPlayerId = null;
+    this.playerCandidates = []; // set when the directory can't pick one player
+    this.playerDirectory = opts.playerDirectory || null; // share one across a batch
+    this.oddsHistory = opts.oddsHistory || null; // OddsHistory (lib/odds/oddsHistory.js); no sharp signal without it
     this.zeroFiltered = 0;
     this.recentValsCount = 0;
     this.recentSample = [];
+    this.matchup = null; // opponent factor from getOpponentDefensiveStats
+    this.minutes = null; // minutes projection (basketball) from projectPlayerMinutes
+    this.context = null; // game context adjustments on μ (MLB park / umpire / weather)
+    this.projection = null; // structural μ from the sport adapter (MLB pitcher leash)
+    this.availability = null; // injury report / news for the player and teammates (checkAvailability)
+    this.sharp = null; // line movement on this prop from the odds history (getSharpSignal)
+    this.team = null; // the player's team, resolved in generateFeatures
     this._hadSeasonAvg = false; // set by generateFeatures when season avg exists
     this._fallbackReason = null;
 
@@ -68,10 +130,16 @@ export class PlayerPropsEngine {
       VARIANCE_PENALTY: 0.05,
       NAME_INFLATION: 0.03,
       PROJECTION_GAP_TRIGGER: 0.15, // 15%
+      ...(opts.thresholds || {}),
     };
+    // model / market / sharp / neutral prior weights used by fuseProbabilities
+    this.fusionWeights = { model: 0.60, market: 0.20, sharp: 0.12, prior: 0.08, ...(opts.fusionWeights || {}) };
     this.calibrationFactor = 1.0;
+    this.calibrator = opts.calibrator || null; // fitted Calibrator (lib/models/calibration.js)
   }
 
+  setCalibrator(calibrator) { this.calibrator = calibrator || null; }
+
   // ---------- Utilities ----------
   validateInput(input) {
     this.errorFlags = [];
@@ -81,12 +149,14 @@ export class PlayerPropsEngine {
         this.errorFlags.push(`MISSING_${field.toUpperCase()}`);
       }
     }
+    if (input?.sport && input?.prop && !parsePropMarket(input.sport, input.prop)) {
+      this.errorFlags.push("UNRECOGNIZED_MARKET");
+    }
     return this.errorFlags.length === 0;
   }
 
   extractLineFromProp(prop) {
-    const m = String(prop || "").match(/(-?\d+(\.\d+)?)/);
-    return m ? parseFloat(m[1]) : 0;
+    return parsePropText(prop).line ?? 0;
   }
 
   calculateExponentialAverage(arr, decay) {
@@ -108,8 +178,15 @@ export class PlayerPropsEngine {
     return Math.max(1.4, v);
   }
 
-  calculateMatchupFactor() { return 1.0; }
-  calculateMinutesFactor() { return 1.0; }
+  calculateMatchupFactor(matchup) {
+    const f = Number(matchup?.factor);
+    return Number.isFinite(f) && f > 0 ? f : 1.0;
+  }
+  // a zero minutes override (projection.out) is gated to PASS in the decision, not applied to μ
+  calculateMinutesFactor(projection) {
+    const f = Number(projection?.factor);
+    return Number.isFinite(f) && f > 0 ? f : 1.0;
+  }
 
   async getPlayerHistoricalStats() {
     return {
@@ -119,169 +196,144 @@ export class PlayerPropsEngine {
       recent: Array.from({ length: 15 }, () => 5 + Math.random() * 6),
     };
   }
-  async getOpponentDefensiveStats() {
-    return { reboundRate: 0.5, assistRate: 0.5, strikeoutRate: 0.2 };
+  // What the opponent allows for this market vs the league, from recent game logs
+  // (sport adapter picks team / position-group / K-rate splits); null when unknown
+  async getOpponentDefensiveStats(opponent, sport, { market, dateStr, position, throws } = {}) {
+    const adapter = getSportAdapter(sport);
+    if (!this._clientReady() || !adapter || !market || !dateStr || !String(opponent || "").trim()) return null;
+    try {
+      const ctx = this._adapterCtx();
+      const { model, tags } = await cachedMatchupModel(this.apiClient, adapter, dateStr);
+      for (const tag of tags) ctx.track(tag);
+      return await adapter.matchupFactor(model, market, { opponent, position, throws, ctx, dateStr });
+    } catch {
+      return null;
+    }
   }
 
-  // stat selection based on sport/prop
-  _pickValueFromRow(sport, prop, row) {
-    const s = String(sport || "").toUpperCase();
-    const p = String(prop || "").toLowerCase();
-
-    if (s === "MLB") {
-      if (p.includes("strikeout")) return _mlbStrikeoutsFromRow(row);
-      return NaN;
-    }
-    if (s === "NBA" || s === "WNBA") {
-      if (p.includes("rebound")) return Number(row?.Rebounds) ?? Number(row?.ReboundsTotal) ?? NaN;
-      if (p.includes("assist"))  return Number(row?.Assists)  ?? NaN;
-      if (p.includes("point"))   return Number(row?.Points)   ?? NaN;
-      return NaN;
-    }
-    if (s === "NFL") {
-      if (p.includes("passing")) return Number(row?.PassingYards) ?? NaN;
-      return NaN;
+  // Projected minutes from the recent logs, season average, game spread and rest;
+  // workload (minutes from the form / batch item) overrides the projection
+  async projectPlayerMinutes(sport, { recents = [], seasonRow, team, dateStr, workload } = {}) {
+    if (!MINUTES_PARAMS[sport]) return null;
+    const adapter = getSportAdapter(sport);
+    let spread = null;
+    if (adapter && team && this._clientReady()) {
+      try { spread = teamSpread(await adapter.fetchGameOdds(this._adapterCtx(), dateStr), team, dateStr); } catch { spread = null; }
     }
-    return NaN;
+    const seasonGames = Number(seasonRow?.Games);
+    return projectMinutes(sport, {
+      games: recents.map(r => ({ minutes: minutesOf(r.row), started: r.row?.Started ?? null, date: r.date })),
+      seasonMinutes: seasonGames > 0 ? minutesOf(seasonRow) / seasonGames : NaN,
+      dateStr,
+      spread,
+      override: workload === "AUTO" ? null : workload,
+    });
   }
 
-  // ---------- SportsDataIO pulls ----------
-  _pushUsed(tag) { _uniqPush(this.usedEndpoints, tag); }
-
-  async _byDateArray(sport, dateStr) {
-    const c = this.apiClient;
-    if (!c) return [];
-    try {
-      if (sport === "MLB" && typeof c.getMLBPlayerStatsByDate === "function") {
-        this._pushUsed(`MLB:player-stats-by-date:${dateStr}`);
-        return await c.getMLBPlayerStatsByDate(dateStr) || [];
-      }
-      if (sport === "NBA" && typeof c.getNBAPlayerStatsByDate === "function") {
-        this._pushUsed(`NBA:player-stats-by-date:${dateStr}`);
-        return await c.getNBAPlayerStatsByDate(dateStr) || [];
-      }
-      if (sport === "WNBA" && typeof c.getWNBAPlayerStatsByDate === "function") {
-        this._pushUsed(`WNBA:player-stats-by-date:${dateStr}`);
-        return await c.getWNBAPlayerStatsByDate(dateStr) || [];
-      }
-    } catch (e) {
-      // keep moving; caller handles fallback
-      return [];
-    }
-    return [];
+  // Injury report and recent news: the player's own status, plus the key teammates who are out
+  // (their share of the team's per-game output raises the player's usage); null without a client
+  async checkAvailability(sport, { team, seasonRows = [], market, dateStr } = {}) {
+    const adapter = getSportAdapter(sport);
+    if (!adapter || !this._clientReady()) return null;
+    const ctx = this._adapterCtx();
+    const t = team ? String(team).toUpperCase() : null;
+    const report = injuryFacts(await adapter.fetchInjuries(ctx), `${sport}:injuries`);
+    const nameMatch = this.matchedName ? nameMatcher(this.matchedName) : () => false;
+    const player =
+      (this.matchedPlayerId != null && report.find(f => Number(f.playerId) === Number(this.matchedPlayerId))) ||
+      report.find(f => (!t || f.team === t) && nameMatch(f.name)) ||
+      null;
+    const teammates = t ? report.filter(f => f !== player && f.team === t) : [];
+
+    const teamRows = t
+      ? seasonRows
+        .filter(r => String(r?.Team || "").toUpperCase() === t)
+        .map(r => ({ playerId: r.PlayerID, name: r.Name, perGame: adapter.seasonAverage(market, r) }))
+      : [];
+    const usage = usageFromTeammates({ playerId: this.matchedPlayerId, teamRows, out: teammates, absorb: adapter.usageAbsorb });
+
+    const news = this.matchedPlayerId != null
+      ? newsFacts(await adapter.fetchPlayerNews(ctx, this.matchedPlayerId), { dateStr, source: `${sport}:news` })
+      : [];
+
+    // facts listed in the result: the player's status, teammates behind the usage change, news
+    const used = new Set((usage?.teammates || []).map(m => Number(m.playerId)));
+    return {
+      status: player?.status ?? null,
+      player,
+      usage,
+      facts: [
+        ...(player ? [player] : []),
+        ...teammates.filter(f => used.has(Number(f.playerId))),
+        ...news,
+      ],
+    };
   }
 
-  async _seasonArray(sport, season) {
-    const c = this.apiClient;
-    if (!c) return [];
+  // Steam / reverse line movement / consensus shift on this prop from the recorded price history,
+  // up to the start time; null without a history store, a resolved player or two snapshots.
+  // Series are keyed by the game's Day on the odds feed (as the recorder and game engine do), so a
+  // late start that rolls past local midnight still finds its series.
+  async getSharpSignal(input) {
+    if (!this.oddsHistory || this.matchedPlayerId == null || !input?.market) return null;
+    const start = new Date(input.startTime);
+    if (!Number.isFinite(start.getTime())) return null;
     try {
-      if (sport === "MLB" && typeof c.getMLBPlayerSeasonStats === "function") {
-        this._pushUsed(`MLB:player-season-stats:${season}`);
-        return await c.getMLBPlayerSeasonStats(season) || [];
-      }
-      if (sport === "NBA" && typeof c.getNBAPlayerSeasonStats === "function") {
-        this._pushUsed(`NBA:player-season-stats:${season}`);
-        return await c.getNBAPlayerSeasonStats(season) || [];
-      }
-      if (sport === "WNBA" && typeof c.getWNBAPlayerSeasonStats === "function") {
-        this._pushUsed(`WNBA:player-season-stats:${season}`);
-        return await c.getWNBAPlayerSeasonStats(season) || [];
-      }
-      if (sport === "NFL" && typeof c.getNFLPlayerSeasonStats === "function") {
-        this._pushUsed(`NFL:player-season-stats:${season}`);
-        return await c.getNFLPlayerSeasonStats(season) || [];
-      }
-    } catch (e) {
-      return [];
+      const dateStr = fmtLocalDate(start);
+      const adapter = getSportAdapter(input.sport);
+      const game = adapter && this.team && this._clientReady()
+        ? teamOddsRow(await adapter.fetchGameOdds(this._adapterCtx(), dateStr), this.team, dateStr)
+        : null;
+      const key = propSeriesKey(input.sport, oddsGameDate(game, dateStr), this.matchedPlayerId, input.market.stat);
+      return sharpSignal(await this.oddsHistory.series(key), { asOf: start.getTime() });
+    } catch {
+      return null;
     }
-    return [];
   }
 
-  async _nflWeekArray(season, week) {
-    const c = this.apiClient;
-    if (!c || typeof c.getNFLPlayerGameStatsByWeek !== "function") return [];
-    this._pushUsed(`NFL:player-stats-by-week:${season}-W${week}`);
-    const arr = await c.getNFLPlayerGameStatsByWeek(season, week) || [];
-    return Array.isArray(arr) ? arr : [];
+  // stat selection based on sport/prop
+  _pickValueFromRow(sport, prop, row) {
+    const market = parsePropMarket(sport, prop);
+    const adapter = getSportAdapter(sport);
+    if (!market) return NaN;
+    return adapter ? adapter.statValue(market, row) : market.value(row);
   }
 
-  // Collect recent values by *date* (MLB/NBA/WNBA)
-  async _collectRecentByDate(input, sport, startDateStr, lookbackDays, maxGames, idHint) {
-    const nameMatch = _nameMatcherFactory(input.player);
-    const values = [];
-    let date = new Date(startDateStr);
-
-    for (let d = 0; d < lookbackDays && values.length < maxGames; d++) {
-      const dStr = fmtLocalDate(date);
-      const arr = await this._byDateArray(sport, dStr);
-      if (Array.isArray(arr) && arr.length) {
-        let row = null;
-
-        if (idHint && idHint.key && idHint.value != null) {
-          row = arr.find(r => Number(r?.[idHint.key]) === Number(idHint.value));
-        }
-        if (!row) {
-          row = arr.find(r => nameMatch(r?.Name));
-        }
+  // ---------- SportsDataIO pulls ----------
+  _pushUsed(tag) { _uniqPush(this.usedEndpoints, tag); }
 
-        if (row) {
-          // MLB: ensure it's a pitching appearance
-          if (sport === "MLB") {
-            const ip =
-              Number(row?.PitchingInningsPitchedDecimal) ??
-              Number(row?.InningsPitchedDecimal) ??
-              Number(row?.InningsPitched) ?? 0;
-            const pos = String(row?.Position || row?.PositionCategory || "").toUpperCase();
-            const isPitcherLike = pos.includes("P");
-            if (!(isPitcherLike && ip > 0)) {
-              this.zeroFiltered++;
-              // skip non-pitching rows
-            } else {
-              const v = this._pickValueFromRow(sport, input.prop, row);
-              if (Number.isFinite(v)) values.push(v);
-              else if (v === 0) { values.push(0); }
-              else this.zeroFiltered++;
-            }
-          } else {
-            const v = this._pickValueFromRow(sport, input.prop, row);
-            if (Number.isFinite(v)) values.push(v);
-            else if (v === 0) values.push(0);
-            else this.zeroFiltered++;
-          }
-        }
-      }
-      // step back a day
-      date.setDate(date.getDate() - 1);
+  // Name → PlayerID via the player directory; ambiguous names are flagged, not guessed
+  async _resolvePlayer(sport, input) {
+    const directory = this.playerDirectory || (this.playerDirectory = new PlayerDirectory(this.apiClient));
+    let out = { player: null, candidates: [], ambiguous: false };
+    try {
+      out = await directory.resolve(sport, input.player, { team: input.team });
+    } catch {
+      return out;
     }
-    return values;
+    if (out.player) this._pushUsed(`${sport}:players`);
+    if (out.ambiguous) {
+      this.playerCandidates = out.candidates;
+      this._fallbackReason = "AMBIGUOUS_PLAYER";
+      _uniqPush(this.errorFlags, "AMBIGUOUS_PLAYER");
+    }
+    return out;
   }
 
-  // Collect NFL recents by *week* (passing yards)
-  async _collectNFLRecents(input, season, currentWeek, maxWeeks, idHint) {
-    const values = [];
-    const nameMatch = _nameMatcherFactory(input.player);
-
-    for (let w = currentWeek; w >= 1 && values.length < maxWeeks; w--) {
-      const arr = await this._nflWeekArray(season, w);
-      if (arr.length) {
-        let row = null;
-
-        if (idHint && idHint.key && idHint.value != null) {
-          row = arr.find(r => Number(r?.[idHint.key]) === Number(idHint.value));
-        }
-        if (!row) {
-          row = arr.find(r => nameMatch(r?.Name));
-        }
+  // live key or fixture replay; plain stubs without isReady() fall back to the key check
+  _clientReady() {
+    const c = this.apiClient;
+    if (!c) return false;
+    return typeof c.isReady === "function" ? c.isReady() : Boolean(c.apiKey);
+  }
 
-        if (row) {
-          const v = this._pickValueFromRow("NFL", input.prop, row);
-          if (Number.isFinite(v)) values.push(v);
-          else if (v === 0) values.push(0);
-          else this.zeroFiltered++;
-        }
-      }
-    }
-    return values;
+  // handed to sport adapters: endpoint tags land in usedEndpoints, skipped rows in zeroFiltered
+  _adapterCtx() {
+    return {
+      client: this.apiClient,
+      track: (tag) => this._pushUsed(tag),
+      filtered: () => { this.zeroFiltered++; },
+    };
   }
 
   // ---------- Feature builder (SportsDataIO first; fallback safely) ----------
@@ -290,9 +342,18 @@ export class PlayerPropsEngine {
     this.dataSource = "fallback";
     this.usedEndpoints = [];
     this.matchedName = "";
+    this.matchedPlayerId = null;
+    this.playerCandidates = [];
     this.zeroFiltered = 0;
     this.recentValsCount = 0;
     this.recentSample = [];
+    this.matchup = null;
+    this.minutes = null;
+    this.context = null;
+    this.projection = null;
+    this.availability = null;
+    this.sharp = null;
+    this.team = null;
     this._hadSeasonAvg = false;
     this._fallbackReason = null;
 
@@ -307,12 +368,16 @@ export class PlayerPropsEngine {
       dateStr = fmtLocalDate(new Date());
     }
 
-    // derive season number
-    const seasonYear = new Date(dateStr).getFullYear();
+    const adapter = getSportAdapter(sport);
+    const market = input.market || parsePropMarket(sport, input.prop);
 
     try {
       // ---------- SPORTS DATA IO PULLS ----------
-      if (this.apiClient && this.apiClient.apiKey) {
+      if (this._clientReady() && !adapter) {
+        this._fallbackReason = "UNSUPPORTED_SPORT";
+      } else if (this._clientReady()) {
+        const ctx = this._adapterCtx();
+        const seasonYear = adapter.seasonFor(dateStr);
         // Try today, then yesterday, then -2 days to increase hit rate for initial match
         const base = new Date(dateStr);
         const datesToTry = [0, -1, -2].map(off => {
@@ -321,86 +386,60 @@ export class PlayerPropsEngine {
           return fmtLocalDate(d);
         });
 
-        const nameMatch = _nameMatcherFactory(input.player);
+        // Directory first (PlayerID); otherwise a strict name match on box-score rows
+        const resolved = await this._resolvePlayer(sport, input);
+        const nameMatch = resolved.ambiguous ? () => false : _nameMatcherFactory(input.player);
         let matched = null;
         let idHint = null;
+        if (resolved.player) {
+          idHint = { key: "PlayerID", value: resolved.player.playerId };
+          this.matchedName = resolved.player.name;
+          this.matchedPlayerId = resolved.player.playerId;
+        }
 
         for (const dStr of datesToTry) {
-          const stats = await this._byDateArray(sport, dStr);
+          const stats = await adapter.fetchStatsByDate(ctx, dStr);
           if (Array.isArray(stats) && stats.length) {
-            matched = stats.find(s => nameMatch(s?.Name));
+            matched = idHint
+              ? stats.find(s => Number(s?.PlayerID) === Number(idHint.value))
+              : stats.find(s => nameMatch(s?.Name));
             if (matched) {
-              this.matchedName = String(matched.Name || "");
-              if (sport === "MLB" && matched.PlayerID) idHint = { key: "PlayerID", value: matched.PlayerID };
-              else if ((sport === "NBA" || sport === "WNBA" || sport === "NFL") && matched.PlayerID) idHint = { key: "PlayerID", value: matched.PlayerID };
+              this.matchedName = String(matched.Name || this.matchedName || "");
+              this.matchedPlayerId = matched.PlayerID ?? this.matchedPlayerId;
+              if (matched.PlayerID) idHint = { key: "PlayerID", value: matched.PlayerID };
               break;
             }
           }
         }
 
         // season pulls (for blend)
-        let seasonArr = await this._seasonArray(sport, seasonYear);
+        let seasonArr = await adapter.fetchSeason(ctx, seasonYear);
         let seasonAvg = NaN;
+        let sRow = null;
         if (Array.isArray(seasonArr) && seasonArr.length) {
-          const sRow = seasonArr.find(r => (r?.PlayerID && matched?.PlayerID && Number(r.PlayerID) === Number(matched.PlayerID)) || _nameMatcherFactory(input.player)(r?.Name));
+          sRow = idHint
+            ? seasonArr.find(r => Number(r?.PlayerID) === Number(idHint.value))
+            : seasonArr.find(r => nameMatch(r?.Name));
           if (sRow) {
             this.matchedName = this.matchedName || String(sRow?.Name || "");
-            // compute season per-game depending on sport/prop
-            if (sport === "MLB") {
-              const totalK  = Number(sRow?.PitchingStrikeouts ?? sRow?.Strikeouts ?? NaN);
-              const starts  = Number(sRow?.GamesStarted ?? NaN);
-              const games   = Number(sRow?.Games ?? sRow?.GamesPlayed ?? NaN);
-              const denom = Number.isFinite(starts) && starts > 0 ? starts : (Number.isFinite(games) && games > 0 ? games : NaN);
-              if (Number.isFinite(totalK) && Number.isFinite(denom) && denom > 0) {
-                seasonAvg = totalK / denom;
-              }
-            } else if (sport === "NBA" || sport === "WNBA") {
-              const gp = Number(sRow?.Games ?? sRow?.GamesPlayed ?? NaN);
-              if (gp > 0) {
-                if (String(input.prop).toLowerCase().includes("rebound") && Number.isFinite(Number(sRow?.Rebounds))) {
-                  seasonAvg = Number(sRow.Rebounds) / gp;
-                } else if (String(input.prop).toLowerCase().includes("assist") && Number.isFinite(Number(sRow?.Assists))) {
-                  seasonAvg = Number(sRow.Assists) / gp;
-                } else if (String(input.prop).toLowerCase().includes("point") && Number.isFinite(Number(sRow?.Points))) {
-                  seasonAvg = Number(sRow.Points) / gp;
-                }
-              }
-            } else if (sport === "NFL") {
-              const gp = Number(sRow?.Games ?? sRow?.GamesPlayed ?? NaN);
-              if (gp > 0 && String(input.prop).toLowerCase().includes("passing") && Number.isFinite(Number(sRow?.PassingYards))) {
-                seasonAvg = Number(sRow.PassingYards) / gp;
-              }
-            }
+            this.matchedPlayerId = this.matchedPlayerId ?? sRow?.PlayerID ?? null;
+            // season per-game for the market's stat (MLB pitchers: per start)
+            seasonAvg = adapter.seasonAverage(market, sRow);
           }
         }
         if (Number.isFinite(seasonAvg)) {
           this._hadSeasonAvg = true;
         }
 
-        // recents
-        let recentVals = [];
-        if (sport === "NFL") {
-          // get season/week then week-by-week
-          let season = seasonYear;
-          let curWeek = null;
-          const c = this.apiClient;
-          if (c && typeof c.getNFLSeasonCurrent === "function") {
-            try {
-              const s = await c.getNFLSeasonCurrent();
-              if (s && Number(s)) season = Number(s);
-            } catch {}
-          }
-          if (c && typeof c.getNFLWeekCurrent === "function") {
-            try {
-              const w = await c.getNFLWeekCurrent();
-              if (w && Number(w)) curWeek = Number(w);
-            } catch {}
+        // recents: by date, or by week for NFL; ID match first, name only when unresolved
+        const findRow = (rows) => {
+          if (idHint && idHint.key && idHint.value != null) {
+            return rows.find(r => Number(r?.[idHint.key]) === Number(idHint.value)) || null;
           }
-          if (!curWeek) curWeek = 18;
-          recentVals = await this._collectNFLRecents(input, season, curWeek, 8, idHint);
-        } else {
-          recentVals = await this._collectRecentByDate(input, sport, dateStr, sport === "MLB" ? 120 : 45, 10, idHint);
-        }
+          return rows.find(r => nameMatch(r?.Name)) || null;
+        };
+        const recents = await adapter.fetchRecents(ctx, { dateStr, season: seasonYear, market, findRow });
+        const recentVals = recents.map(r => r.value);
 
         this.recentValsCount = recentVals.length;
         this.recentSample = Array.isArray(recentVals) ? recentVals.slice(0, 10) : [];
@@ -416,15 +455,38 @@ export class PlayerPropsEngine {
         else if (Number.isFinite(recentMean)) blendedMu = recentMean;
         else if (Number.isFinite(seasonAvg)) blendedMu = seasonAvg;
 
+        // injury report: player status (gates the decision) and teammates out (usage)
+        const team = resolved.player?.team ?? matched?.Team ?? sRow?.Team ?? recents[0]?.row?.Team;
+        this.team = team ?? null;
+        this.availability = await this.checkAvailability(sport, { team, seasonRows: seasonArr, market, dateStr });
+        const usageFactor = this.availability?.usage?.factor ?? 1;
+
+        // structural μ where the adapter has one (MLB pitcher Ks: leash × BF/IP × K/BF)
+        this.projection = adapter.projectMu(market, { recents, seasonRow: sRow, dateStr, pitchLimit: input.pitchLimit });
+        if (this.projection) blendedMu = this.projection.mu;
+
         if (Number.isFinite(blendedMu)) {
           // variance: from sample if >=3, else conservative floor by sport
           let variance;
           if (recentVals.length >= 3) variance = this.calculateVariance(recentVals);
-          else {
-            if (sport === "MLB" && String(input.prop).toLowerCase().includes("strikeout")) variance = Math.max(1.44, Math.abs(blendedMu - blendedMu*0.9));
-            else if (sport === "NFL" && String(input.prop).toLowerCase().includes("passing")) variance = Math.max(400, Math.abs(blendedMu - blendedMu*0.8));
-            else variance = Math.max(2.25, Math.abs(blendedMu - blendedMu*0.85));
-          }
+          else variance = adapter.varianceFloor(market, blendedMu);
+
+          // basketball: per-minute rate × projected minutes; count variance scales with minutes
+          this.minutes = await this.projectPlayerMinutes(sport, {
+            recents, seasonRow: sRow, team, dateStr, workload: input.workload,
+          });
+          const minutesFactor = this.calculateMinutesFactor(this.minutes);
+          variance *= minutesFactor * usageFactor;
+
+          // opponent matchup scales mu (1.0 when logs or the opponent are unknown)
+          const position = resolved.player?.position ?? matched?.Position ?? recents.find(r => r.row?.Position)?.row?.Position;
+          this.matchup = await this.getOpponentDefensiveStats(input.opponent, sport, { market, dateStr, position, throws: resolved.player?.throws });
+
+          // game context (MLB strikeouts: park, umpire, weather) added to μ after the factors
+          this.context = await adapter.contextAdjustments(ctx, {
+            market, dateStr, team, opponent: input.opponent, umpire: input.umpire,
+            mu: blendedMu * this.calculateMatchupFactor(this.matchup) * minutesFactor * usageFactor,
+          });
 
           this.dataSource = "sportsdata";
           return {
@@ -433,9 +495,11 @@ export class PlayerPropsEngine {
             last7Avg:  recentVals.length > 0 ? this.calculateExponentialAverage(recentVals.slice(0,7), 0.85) : blendedMu,
             variance,
             stdDev: Math.sqrt(variance),
-            matchupFactor: 1.0,
-            minutesFactor: 1.0,
-            specific: { adjustment: 0 },
+            recentValues: recentVals,
+            matchupFactor: this.calculateMatchupFactor(this.matchup),
+            minutesFactor,
+            usageFactor,
+            specific: { adjustment: this.context?.total ?? 0 },
           };
         }
 
@@ -455,7 +519,8 @@ export class PlayerPropsEngine {
         variance:  this.calculateVariance(playerStats.recent),
         stdDev:    0, // computed below
         matchupFactor: this.calculateMatchupFactor(opponentStats, sport, input.prop),
-        minutesFactor: this.calculateMinutesFactor(input.workload, sport),
+        minutesFactor: this.calculateMinutesFactor(this.minutes),
+        usageFactor: 1.0,
         specific: { adjustment: 0 }
       };
       features.stdDev = Math.sqrt(features.variance);
@@ -472,6 +537,7 @@ export class PlayerPropsEngine {
         stdDev: Math.max(1, Math.sqrt(variance)),
         matchupFactor: 1.0,
         minutesFactor: 1.0,
+        usageFactor: 1.0,
         specific: { adjustment: 0 }
       };
     }
@@ -484,7 +550,8 @@ export class PlayerPropsEngine {
     let mu =
       (Number(features.last30Avg) || 0) *
       (Number(features.matchupFactor) || 1) *
-      (Number(features.minutesFactor) || 1);
+      (Number(features.minutesFactor) || 1) *
+      (Number(features.usageFactor) || 1);
 
     if (features?.specific?.adjustment) {
       mu += Number(features.specific.adjustment) || 0;
@@ -493,23 +560,24 @@ export class PlayerPropsEngine {
     let sigma = Number(features.stdDev);
     if (!Number.isFinite(sigma) || sigma <= 0) sigma = 1.2;
 
-    const sport = String(input.sport || "").toUpperCase();
-    const propText = String(input.prop || "").toLowerCase();
+    const market = input.market || parsePropMarket(input.sport, input.prop);
+    if (market?.sigma) sigma = Math.max(market.sigma[0], Math.min(sigma, market.sigma[1]));
 
-    if (sport === "MLB" && propText.includes("strikeout")) {
-      sigma = Math.max(1.2, Math.min(sigma, 3.5));
-      const p = StatisticalModels.calculatePoissonProbability(mu, line);
-      return { probability: clamp01(p), expectedValue: mu, stdDev: sigma, line };
-    }
+    // distribution from the market family and the dispersion of the recent sample
+    const sample = Array.isArray(features?.recentValues) ? features.recentValues : [];
+    const adapter = getSportAdapter(input.sport);
+    const dist = adapter
+      ? adapter.distribution(market, sample)
+      : StatisticalModels.chooseDistribution(market?.model || "normal", sample);
 
-    if ((sport === "NBA" || sport === "WNBA") && (propText.includes("rebound") || propText.includes("assist"))) {
-      sigma = Math.max(1.3, Math.min(sigma, 5.0));
-    } else if (sport === "NFL" && propText.includes("passing")) {
-      sigma = Math.max(20, Math.min(sigma, 120));
-    }
-
-    const p = StatisticalModels.calculateNormalProbability(mu, sigma, line);
-    return { probability: clamp01(p), expectedValue: mu, stdDev: sigma, line };
+    // probability is P(over | no push), comparable with the two-way de-vigged market
+    const { pOver, pUnder, pPush } = StatisticalModels.outcome(dist, { mu, sigma, sample }, line);
+    const decided = pOver + pUnder;
+    const probability = decided > 0 ? pOver / decided : 0.5;
+    return {
+      probability: clamp01(probability), pOver: clamp01(pOver), pUnder: clamp01(pUnder), pPush: clamp01(pPush),
+      expectedValue: mu, stdDev: sigma, line, distribution: dist,
+    };
   }
 
   calculateMarketProbability(odds) {
@@ -542,14 +610,14 @@ export class PlayerPropsEngine {
 
   microContextNudge(input) {
     if (!SMART) return 0;
-    const text = `${input?.injuryNotes || ""} ${input?.opponent || ""}`.toLowerCase();
-    let nudge = 0;
-    if (text.includes("coors") || text.includes("fast pace")) nudge += 0.02;
-    if (text.includes("back-to-back") || text.includes("fatigue")) nudge -= 0.02;
-    return nudge;
+    return String(input?.opponent || "").toLowerCase().includes("fast pace") ? 0.02 : 0;
   }
 
-  steamDetectionNudge() { if (!SMART) return 0; return 0; }
+  // latest steam move, on top of the sharp signal's fusion weight
+  steamDetectionNudge(sharp) {
+    if (!SMART || !sharp?.steam?.length) return 0;
+    return 0.02 * sharp.steam[sharp.steam.length - 1].direction;
+  }
 
   applyHouseAdjustments(modelProb, input, features) {
     let adjustedProb = Number(modelProb);
@@ -571,7 +639,8 @@ export class PlayerPropsEngine {
       }
     }
 
-    if ((features?.stdDev || 0) > 4 && (String(input.sport).toUpperCase() !== "NFL")) {
+    const varianceCap = getSportAdapter(input.sport)?.highVarianceStdDev ?? 4;
+    if ((features?.stdDev || 0) > varianceCap) {
       adjustedProb -= this.thresholds.VARIANCE_PENALTY;
       flags.push("HIGH_VARIANCE");
     }
@@ -579,16 +648,22 @@ export class PlayerPropsEngine {
     return { adjustedProb: clamp01(adjustedProb), flags };
   }
 
-  applyCalibration(prob) { return prob * this.calibrationFactor; }
+  // ctx = { sport, stat } picks the calibrator stratum; scalar factor when none is loaded
+  applyCalibration(prob, ctx = {}) {
+    if (this.calibrator) return this.calibrator.predict(prob, ctx);
+    return prob * this.calibrationFactor;
+  }
 
-  fuseProbabilities(modelProb, marketProb, sharpSignal, addOnNudges) {
+  // calibrationCtx === null returns the uncalibrated fusion
+  fuseProbabilities(modelProb, marketProb, sharpSignal, addOnNudges, calibrationCtx = {}) {
+    const w = this.fusionWeights;
     const base =
-      0.60 * modelProb +
-      0.20 * marketProb +
-      0.12 * (0.5 + (Number(sharpSignal) || 0)) +
-      0.08 * 0.5;
-    let fused = base + addOnNudges;
-    fused = this.applyCalibration(clamp01(fused));
+      w.model * modelProb +
+      w.market * marketProb +
+      w.sharp * (0.5 + (Number(sharpSignal) || 0)) +
+      w.prior * 0.5;
+    let fused = clamp01(base + addOnNudges);
+    if (calibrationCtx !== null) fused = this.applyCalibration(fused, calibrationCtx);
     return clamp01(fused);
   }
 
@@ -604,11 +679,14 @@ export class PlayerPropsEngine {
         under: Number(inputRaw?.odds?.under) || Number(inputRaw?.under) || 1.8,
       },
       startTime: inputRaw?.startTime || new Date(Date.now() + 6 * 3600e3).toISOString(),
+      team: inputRaw?.team || "",
       workload: inputRaw?.workload ?? "AUTO",
-      injuryNotes: inputRaw?.injuryNotes ?? "UNKNOWN",
+      umpire: inputRaw?.umpire || "",
+      pitchLimit: inputRaw?.pitchLimit ?? null,
     };
 
     this.validateInput(input);
+    input.market = parsePropMarket(input.sport, input.prop);
 
     // get features
     let features;
@@ -617,9 +695,10 @@ export class PlayerPropsEngine {
     } catch (e) {
       features = {
         last60Avg: 0, last30Avg: 0, last7Avg: 0, variance: 1, stdDev: 1,
-        matchupFactor: 1, minutesFactor: 1, specific: { adjustment: 0 }
+        matchupFactor: 1, minutesFactor: 1, usageFactor: 1, specific: { adjustment: 0 }
       };
     }
+    this.sharp = await this.getSharpSignal(input);
 
     const stat   = this.calculateStatisticalProbability(features, input);
     const market = this.calculateMarketProbability(input.odds);
@@ -628,13 +707,26 @@ export class PlayerPropsEngine {
     const gapNudge   = this.projectionGapNudge(stat.probability, market.marketProbability);
     const workNudge  = this.workloadGuardrail(input, features);
     const microNudge = this.microContextNudge(input);
-    const steamNudge = this.steamDetectionNudge();
+    const steamNudge = this.steamDetectionNudge(this.sharp);
 
     const { adjustedProb, flags: houseFlags } = this.applyHouseAdjustments(stat.probability, input, features);
     const nudgesTotal = gapNudge + workNudge + microNudge + steamNudge + (adjustedProb - stat.probability);
 
-    const fused = this.fuseProbabilities(stat.probability, market.marketProbability, 0, nudgesTotal);
-    let finalConfidence = Math.round(fused * 1000) / 10; // 0.1 precision
+    const fusedRaw = this.fuseProbabilities(stat.probability, market.marketProbability, this.sharp?.signal ?? 0, nudgesTotal, null);
+    const fused = clamp01(this.applyCalibration(fusedRaw, { sport: input.sport, stat: propTypeOf(input.prop, input.sport) }));
+
+    let suggestion = (stat.probability >= 0.5) ? "OVER" : "UNDER";
+    if (input.market?.side && input.market.side !== suggestion) houseFlags.push(`MODEL_DISAGREES_WITH_${input.market.side}`);
+    houseFlags.push(...sharpFlags(this.sharp, suggestion === "OVER" ? 1 : -1));
+
+    // fused is P(over | no push); whole lines give part of the mass back as a push
+    const pushProb = stat.pPush;
+    const sideProb = suggestion === "OVER" ? fused : 1 - fused;
+    const winProb = sideProb * (1 - pushProb);
+    if (pushProb >= 0.05) houseFlags.push("PUSH_RISK");
+
+    // Confidence counts a push as half a win (the even-money break-even equivalent)
+    let finalConfidence = Math.round((winProb + pushProb / 2) * 1000) / 10; // 0.1 precision
 
     // Decide (but below we may cap due to fallback safety)
     let decision =
@@ -642,12 +734,11 @@ export class PlayerPropsEngine {
       finalConfidence >= this.thresholds.STRONG_LEAN * 100 ? "STRONG_LEAN" :
       finalConfidence >= this.thresholds.LEAN * 100 ? "LEAN" : "PASS";
 
-    let suggestion = (stat.probability >= 0.5) ? "OVER" : "UNDER";
-
     // ---------- Safety gating: if we didn't actually pull usable sportsdata, force PASS & cap confidence ----------
+    if (!input.market) this._fallbackReason = "UNRECOGNIZED_MARKET";
     const usedCount = Array.isArray(this.usedEndpoints) ? this.usedEndpoints.length : 0;
     if (this.dataSource !== "sportsdata" || usedCount === 0) {
-      this._fallbackReason = this._fallbackReason || (this.apiClient && this.apiClient.apiKey ? "NO_ENDPOINTS" : "NO_API_KEY");
+      this._fallbackReason = this._fallbackReason || (this._clientReady() ? "NO_ENDPOINTS" : "NO_API_KEY");
       // mark fallback flags
       const fallbackFlags = ["FALLBACK_DATA", `FALLBACK_REASON:${this._fallbackReason}`];
       // include fallback flags with houseFlags (they will be emitted in final response)
@@ -663,36 +754,96 @@ export class PlayerPropsEngine {
       }
     }
 
+    // the player's own injury status: OUT / DOUBTFUL / QUESTIONABLE never bet
+    const status = this.availability?.status;
+    if (status) houseFlags.push(`PLAYER_${status}`);
+    if (BLOCKING_STATUSES.has(status)) {
+      finalConfidence = Math.min(finalConfidence, 49.9);
+      decision = "PASS";
+    }
+    if (this.availability?.usage) houseFlags.push("KEY_TEAMMATES_OUT");
+    if (this.minutes?.out) {
+      finalConfidence = Math.min(finalConfidence, 49.9);
+      decision = "PASS";
+    }
+
+    // EV and fractional Kelly at the offered price for the suggested side (pushes refund the stake)
+    const price = suggestion === "OVER" ? input.odds.over : input.odds.under;
+    const ev = expectedValue(winProb, price, pushProb);
+    const staking = resolveStakingConfig(this.staking, inputRaw?.staking);
+    const kelly = kellyStake(winProb, price, staking, pushProb);
+    const suggestedStake = decision === "PASS" ? 0 : kelly.stakePct;
+
     return {
       player: input.player,
       prop: input.prop,
+      line: stat.line,
+      market: input.market ? { stat: input.market.stat, label: input.market.label, line: input.market.line, side: input.market.side } : null,
       suggestion,
       decision,
       finalConfidence,
-      suggestedStake:
-        decision === "LOCK" ? (finalConfidence >= 75 ? 2.0 : 1.0) :
-        decision === "STRONG_LEAN" ? 0.5 :
-        decision === "LEAN" ? 0.25 : 0,
+      price: { decimal: price, source: "offered" },
+      suggestedStake,
+      stake: {
+        pct: suggestedStake,
+        units: decision === "PASS" ? 0 : kelly.stakeUnits,
+        fullKelly: round3(kelly.fullKelly),
+        capped: kelly.capped,
+        ...staking,
+      },
       topDrivers: [
-        `μ=${stat.expectedValue.toFixed(2)} vs line ${stat.line}`,
+        // a zero-minutes override leaves μ at full minutes; the minutes line explains the PASS instead
+        ...(this.minutes?.out ? [] : [`μ=${stat.expectedValue.toFixed(2)} vs line ${stat.line} (${stat.distribution.name}${stat.distribution.dispersion == null ? "" : `, D=${stat.distribution.dispersion.toFixed(2)}`})`]),
         `Model p_over=${stat.probability.toFixed(3)}, Market p_over=${market.marketProbability.toFixed(3)}`,
-        `Nudges: gap=${gapNudge.toFixed(3)}, workload=${workNudge.toFixed(3)}, micro=${microNudge.toFixed(3)}`
+        ...(this.projection ? [this.projection.label] : []),
+        ...(this.matchup ? [matchupDriver(this.matchup)] : []),
+        ...(this.minutes ? [minutesDriver(this.minutes)] : []),
+        ...(this.availability?.usage ? [usageDriver(this.availability.usage)] : []),
+        ...(this.context?.adjustments || []).map(a => a.label),
+        ...(this.sharp ? [`Sharp ${this.sharp.signal >= 0 ? "+" : ""}${this.sharp.signal.toFixed(3)} toward over: ${this.sharp.label}`] : []),
+        `Nudges: gap=${gapNudge.toFixed(3)}, workload=${workNudge.toFixed(3)}, micro=${microNudge.toFixed(3)}, steam=${steamNudge.toFixed(3)}`,
+        `EV ${ev == null ? "n/a" : `${(ev * 100).toFixed(1)}%`} at ${price} (p=${winProb.toFixed(3)}${pushProb > 0 ? `, push ${pushProb.toFixed(3)}` : ""}), Kelly ${(kelly.fullKelly * 100).toFixed(1)}% × ${staking.kellyFraction}`
       ],
-      flags: [...this.errorFlags, ...houseFlags, SMART ? "SMART_OVERLAYS" : "SMART_OFF"],
+      flags: [...this.errorFlags, ...houseFlags, ...minutesFlags(this.minutes), ...(this.projection?.flags || []), SMART ? "SMART_OVERLAYS" : "SMART_OFF", ...(this.calibrator ? ["CALIBRATED"] : [])],
+      availability: this.availability?.facts || [],
       rawNumbers: {
         expectedValue: round2(stat.expectedValue),
         stdDev: round2(stat.stdDev),
         modelProbability: round3(stat.probability),
+        pOver: round3(stat.pOver),
+        pUnder: round3(stat.pUnder),
+        pPush: round3(stat.pPush),
+        sideProbability: round3(sideProb),
+        winProbability: round3(winProb),
+        distribution: stat.distribution.name,
+        dispersion: stat.distribution.dispersion == null ? null : round2(stat.distribution.dispersion),
+        matchupFactor: round3(this.calculateMatchupFactor(this.matchup)),
+        minutesFactor: round3(this.calculateMinutesFactor(this.minutes)),
+        usageFactor: round3(this.availability?.usage?.factor ?? 1),
+        projectedMinutes: this.minutes ? round2(this.minutes.minutes) : null,
+        projectedInnings: this.projection?.innings == null ? null : round2(this.projection.innings),
+        contextAdjustment: round2(this.context?.total ?? 0),
         marketProbability: round3(market.marketProbability),
-        sharpSignal: 0,
+        uncalibratedProbability: round3(fusedRaw),
+        sharpSignal: round3(this.sharp?.signal ?? 0),
+        evPerUnit: ev == null ? null : round3(ev),
+        kellyFraction: round3(kelly.fullKelly),
       },
       meta: {
         dataSource: this.dataSource,
         usedEndpoints: this.usedEndpoints,
         matchedName: this.matchedName,
+        playerId: this.matchedPlayerId,
+        playerCandidates: this.playerCandidates,
         zeroFiltered: this.zeroFiltered,
         recentCount: this.recentValsCount,
         recentSample: this.recentSample || [],
+        matchup: this.matchup,
+        minutes: this.minutes,
+        context: this.context,
+        projection: this.projection,
+        availability: this.availability,
+        sharp: this.sharp,
         debug: {
           fallbackReason: this._fallbackReason || null
         }
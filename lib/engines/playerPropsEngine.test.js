@@ -0,0 +1,59 @@
+// lib/engines/playerPropsEngine.test.js — node --test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { PlayerPropsEngine } from "./playerPropsEngine.js";
+
+const dayOf = (d) => Number(d.slice(8, 10));
+
+// Stub SportsDataIO client: a guard averaging ~26 points on 35 minutes every other night
+const client = (injuries = []) => ({
+  isReady: () => true,
+  getNBAPlayers: async () => [{ PlayerID: 1, FirstName: "Jalen", LastName: "Brunson", Team: "NYK", Position: "PG" }],
+  getNBAPlayerStatsByDate: async (d) => dayOf(d) % 2 ? [] : [
+    { PlayerID: 1, Name: "Jalen Brunson", Team: "NYK", Position: "PG", Started: 1, Minutes: 35, Points: 24 + (dayOf(d) % 5) },
+  ],
+  getNBAPlayerSeasonStats: async () => [{ PlayerID: 1, Name: "Jalen Brunson", Team: "NYK", Games: 40, Points: 1040, Minutes: 1400 }],
+  getNBAInjuredPlayers: async () => injuries,
+});
+
+const evaluate = (c, extra = {}) => new PlayerPropsEngine(c).evaluateProp({
+  sport: "NBA", player: "Jalen Brunson", prop: "Points 18.5",
+  odds: { over: 1.9, under: 1.9 }, startTime: "2025-01-25T19:00:00", ...extra,
+});
+
+const gated = (r) => {
+  assert.equal(r.decision, "PASS");
+  assert.ok(r.finalConfidence <= 49.9, `confidence ${r.finalConfidence}`);
+  assert.equal(r.suggestedStake, 0);
+  assert.equal(r.stake.units, 0);
+};
+
+test("a healthy player on an easy line is a bet", async () => {
+  const r = await evaluate(client());
+  assert.notEqual(r.decision, "PASS");
+  assert.ok(r.finalConfidence > 49.9);
+});
+
+test("a blocking injury status forces PASS with capped confidence", async () => {
+  for (const status of ["Out", "Doubtful", "Questionable"]) {
+    const r = await evaluate(client([{ PlayerID: 1, Name: "Jalen Brunson", Team: "NYK", InjuryStatus: status }]));
+    gated(r);
+    assert.ok(r.flags.includes(`PLAYER_${status.toUpperCase()}`), r.flags.join(","));
+  }
+});
+
+test("a probable player is not gated", async () => {
+  const r = await evaluate(client([{ PlayerID: 1, Name: "Jalen Brunson", Team: "NYK", InjuryStatus: "Probable" }]));
+  assert.notEqual(r.decision, "PASS");
+  assert.ok(r.flags.includes("PLAYER_PROBABLE"));
+});
+
+test("a zero minutes override forces PASS with capped confidence and no μ line", async () => {
+  for (const workload of [0, "0", -5]) {
+    const r = await evaluate(client(), { workload });
+    gated(r);
+    assert.ok(r.flags.includes("MINUTES_OVERRIDE_ZERO"), r.flags.join(","));
+    assert.ok(!r.topDrivers.some(d => d.startsWith("μ=")), r.topDrivers.join(" | "));
+    assert.ok(r.topDrivers.some(d => /not expected to play/.test(d)));
+  }
+});
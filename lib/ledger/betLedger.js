@@ -0,0 +1,265 @@
+// lib/ledger/betLedger.js
+// File-backed ledger of every analyzed pick: inputs, engine outputs and the price taken.
+// Grading and closing-line value are filled in later (see ./grader.js); report() rolls up
+// hit rate, ROI and CLV by sport, prop type and decision tier.
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { withFileLock, writeFileAtomic } from "../storage/jsonFile.js";
+import { americanToDecimal, decimalToAmerican } from "../odds/oddsMath.js";
+import { parseGameLine } from "../engines/gameLinesEngine.js";
+import { propTypeOf } from "../engines/playerPropsEngine.js";
+
+export const DEFAULT_LEDGER_PATH = path.join(process.cwd(), ".data", "ledger.json");
+
+function fmtLocalDate(d) {
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+
+function gameDateOf(startTime) {
+  const d = startTime ? new Date(startTime) : new Date();
+  return fmtLocalDate(Number.isFinite(d.getTime()) ? d : new Date());
+}
+
+export class BetLedger {
+  constructor(opts = {}) {
+    this.path = opts.path || process.env.LEDGER_PATH || DEFAULT_LEDGER_PATH;
+  }
+
+  async _read() {
+    try {
+      const txt = await fs.readFile(this.path, "utf8");
+      const data = JSON.parse(txt);
+      return Array.isArray(data?.picks) ? data : { picks: [] };
+    } catch (e) {
+      if (e?.code === "ENOENT") return { picks: [] };
+      throw e;
+    }
+  }
+
+  async _write(data) {
+    await writeFileAtomic(this.path, JSON.stringify(data, null, 2));
+  }
+
+  // read-modify-write under the per-path lock shared by every ledger on this file
+  _mutate(fn) {
+    return withFileLock(this.path, async () => {
+      const data = await this._read();
+      const out = await fn(data);
+      await this._write(data);
+      return out;
+    });
+  }
+
+  async list(filter = {}) {
+    const { picks } = await this._read();
+    return picks.filter(p =>
+      (!filter.kind || p.kind === filter.kind) &&
+      (!filter.sport || p.sport === String(filter.sport).toUpperCase()) &&
+      (!filter.status || p.status === filter.status));
+  }
+
+  // Player prop: input as sent to evaluateProp, result as returned by it
+  recordProp(input, result) {
+    const side = result?.suggestion === "UNDER" ? "UNDER" : "OVER";
+    const decimal = Number(side === "OVER" ? input?.odds?.over : input?.odds?.under) || null;
+    return this._append({
+      kind: "prop",
+      sport: String(input?.sport || "").toUpperCase(),
+      gameDate: gameDateOf(input?.startTime),
+      player: input?.player || "",
+      playerId: result?.meta?.playerId ?? null,
+      opponent: input?.opponent || "",
+      prop: input?.prop || "",
+      propType: propTypeOf(input?.prop, input?.sport),
+      line: result?.line ?? null,
+      side,
+      price: { decimal, american: decimalToAmerican(decimal) },
+      probability: result?.rawNumbers?.sideProbability ?? null, // P(side | no push)
+      rawProbability: result?.rawNumbers?.uncalibratedProbability ?? null, // P(over), pre-calibration
+      input,
+      output: result,
+    });
+  }
+
+  // Game line: input as sent to evaluateGame, result as returned by it
+  recordGame(input, result) {
+    const decimal = Number(result?.price?.decimal) || null;
+    return this._append({
+      kind: "game",
+      sport: String(input?.sport || "").toUpperCase(),
+      gameDate: gameDateOf(input?.startTime || input?.date),
+      team: result?.side || input?.team || input?.home || "",
+      home: result?.meta?.matchInfo?.home || null,
+      away: result?.meta?.matchInfo?.away || null,
+      teamIsHome: result?.meta?.matchInfo?.teamIsHome ?? null,
+      market: result?.market || null,
+      propType: String(result?.market || "game").toLowerCase(),
+      line: parseGameLine(result?.line ?? input?.line)?.line ?? null,
+      lineText: result?.line ?? input?.line ?? "",
+      side: result?.suggestion || null,
+      price: { decimal, american: decimalToAmerican(decimal), book: result?.price?.book ?? null },
+      probability: Number(result?.rawNumbers?.fusedProbability) || null,
+      rawProbability: result?.rawNumbers?.uncalibratedProbability ?? null, // P(side), pre-calibration
+      input,
+      output: result,
+    });
+  }
+
+  _append(fields) {
+    const pick = {
+      id: randomUUID(),
+      createdAt: new Date().toISOString(),
+      decision: fields.output?.decision || "PASS",
+      stakeUnits: Number(fields.output?.stake?.units) || 0,
+      status: "PENDING",   // PENDING → WIN | LOSS | PUSH | VOID
+      actual: null,
+      gradedAt: null,
+      closing: null,       // { decimal, prob, clv }
+      ...fields,
+    };
+    return this._mutate(data => { data.picks.push(pick); return pick; });
+  }
+
+  // Apply grader output: { status, actual, closing? }
+  update(id, patch) {
+    return this._mutate(data => {
+      const p = data.picks.find(x => x.id === id);
+      if (!p) return null;
+      Object.assign(p, patch);
+      return p;
+    });
+  }
+
+  // Closing price supplied by hand (props) — American or decimal for the picked side,
+  // plus the other side if known so the close can be de-vigged.
+  setClosing(id, { price, otherPrice } = {}) {
+    return this._mutate(data => {
+      const p = data.picks.find(x => x.id === id);
+      if (!p) return null;
+      p.closing = closingFromPrices(p.price?.decimal, price, otherPrice);
+      return p;
+    });
+  }
+
+  async report(filter = {}) {
+    const picks = await this.list(filter);
+    const groups = { overall: {}, bySport: {}, byPropType: {}, byDecision: {} };
+    const add = (bucket, key, p) => {
+      const g = bucket[key] || (bucket[key] = emptyGroup());
+      accumulate(g, p);
+    };
+    for (const p of picks) {
+      add(groups.overall, "all", p);
+      add(groups.bySport, p.sport || "?", p);
+      add(groups.byPropType, `${p.sport}:${p.propType}`, p);
+      add(groups.byDecision, p.decision || "PASS", p);
+    }
+    const finish = (bucket) => Object.fromEntries(Object.entries(bucket).map(([k, g]) => [k, summarize(g)]));
+    return {
+      total: picks.length,
+      overall: summarize(groups.overall.all || emptyGroup()),
+      bySport: finish(groups.bySport),
+      byPropType: finish(groups.byPropType),
+      byDecision: finish(groups.byDecision),
+    };
+  }
+}
+
+// CLV = EV of the taken price at the closing no-vig probability
+export function closingFromPrices(takenDecimal, price, otherPrice) {
+  const toDec = (x) => {
+    const n = Number(x);
+    if (!Number.isFinite(n)) return null;
+    return Math.abs(n) >= 100 ? americanToDecimal(n) : (n > 1 ? n : null);
+  };
+  const close = toDec(price), other = toDec(otherPrice);
+  if (!close) return null;
+  const prob = other ? (1 / close) / (1 / close + 1 / other) : 1 / close;
+  const taken = Number(takenDecimal);
+  return {
+    decimal: close,
+    prob,
+    clv: Number.isFinite(taken) && taken > 1 ? prob * taken - 1 : null,
+  };
+}
+
+const CSV_COLUMNS = [
+  ["id", p => p.id],
+  ["createdAt", p => p.createdAt],
+  ["kind", p => p.kind],
+  ["sport", p => p.sport],
+  ["gameDate", p => p.gameDate],
+  ["subject", p => (p.kind === "game" ? p.team : p.player)],
+  ["opponent", p => (p.kind === "game" ? (p.teamIsHome ? p.away : p.home) : p.opponent)],
+  ["propType", p => p.propType],
+  ["line", p => p.line],
+  ["side", p => p.side],
+  ["decision", p => p.decision],
+  ["priceDecimal", p => p.price?.decimal],
+  ["priceAmerican", p => p.price?.american],
+  ["book", p => p.price?.book],
+  ["probability", p => p.probability],
+  ["rawProbability", p => p.rawProbability],
+  ["stakeUnits", p => p.stakeUnits],
+  ["status", p => p.status],
+  ["actual", p => (p.actual && typeof p.actual === "object" ? `${p.actual.home}-${p.actual.away}` : p.actual)],
+  ["closingProb", p => p.closing?.prob],
+  ["clv", p => p.closing?.clv],
+];
+
+// Flat CSV of ledger rows (one pick per line) for spreadsheets / offline calibration
+export function picksToCSV(picks) {
+  const cell = (v) => {
+    if (v == null) return "";
+    const s = String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = [CSV_COLUMNS.map(([h]) => h).join(",")];
+  for (const p of picks) lines.push(CSV_COLUMNS.map(([, f]) => cell(f(p))).join(","));
+  return lines.join("\n");
+}
+
+function emptyGroup() {
+  return { picks: 0, graded: 0, wins: 0, losses: 0, pushes: 0, voids: 0, flatProfit: 0, flatRisked: 0, stakedProfit: 0, stakedRisked: 0, clvSum: 0, clvN: 0 };
+}
+
+function accumulate(g, p) {
+  g.picks++;
+  if (p.closing && Number.isFinite(p.closing.clv)) { g.clvSum += p.closing.clv; g.clvN++; }
+  if (p.status === "PENDING") return;
+  if (p.status === "VOID") { g.voids++; return; }
+  g.graded++;
+  const dec = Number(p.price?.decimal);
+  const stake = Number(p.stakeUnits) || 0;
+  if (p.status === "PUSH") { g.pushes++; g.flatRisked += 1; g.stakedRisked += stake; return; }
+  const win = p.status === "WIN";
+  if (win) g.wins++; else g.losses++;
+  if (Number.isFinite(dec) && dec > 1) {
+    g.flatRisked += 1;
+    g.flatProfit += win ? dec - 1 : -1;
+    g.stakedRisked += stake;
+    g.stakedProfit += win ? stake * (dec - 1) : -stake;
+  }
+}
+
+function summarize(g) {
+  const decided = g.wins + g.losses;
+  const r4 = (x) => Math.round(x * 10000) / 10000;
+  return {
+    picks: g.picks,
+    graded: g.graded,
+    wins: g.wins,
+    losses: g.losses,
+    pushes: g.pushes,
+    voids: g.voids,
+    hitRate: decided ? r4(g.wins / decided) : null,
+    roi: g.flatRisked ? r4(g.flatProfit / g.flatRisked) : null,
+    stakedRoi: g.stakedRisked ? r4(g.stakedProfit / g.stakedRisked) : null,
+    unitsWon: r4(g.stakedProfit),
+    avgClv: g.clvN ? r4(g.clvSum / g.clvN) : null,
+  };
+}
@@ -0,0 +1,27 @@
+// lib/ledger/betLedger.test.js — node --test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { BetLedger } from "./betLedger.js";
+
+const prop = (i) => [
+  { sport: "NBA", player: `Player ${i}`, prop: "Points 20.5", odds: { over: 1.9, under: 1.9 }, startTime: "2025-01-25T19:00:00" },
+  { decision: "LEAN", suggestion: "OVER", line: 20.5, rawNumbers: { sideProbability: 0.56 } },
+];
+
+test("ledgers on one file don't lose concurrent appends", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ledger-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "ledger.json");
+  const a = new BetLedger({ path: file });
+  const b = new BetLedger({ path: file });
+
+  await Promise.all(Array.from({ length: 20 }, (_, i) => (i % 2 ? a : b).recordProp(...prop(i))));
+
+  const picks = await new BetLedger({ path: file }).list();
+  assert.equal(picks.length, 20);
+  assert.equal(new Set(picks.map(p => p.player)).size, 20);
+  assert.deepEqual((await fs.readdir(dir)).filter(f => f.endsWith(".tmp")), []);
+});
@@ -0,0 +1,154 @@
+// lib/ledger/grader.js
+// Grades pending ledger picks once their game date has passed, using the SportsDataIO
+// by-date stats/scores endpoints, and records closing-line value for game picks.
+import { PlayerPropsEngine } from "../engines/playerPropsEngine.js";
+import { GameLinesEngine, parseGameLine } from "../engines/gameLinesEngine.js";
+import { median } from "../odds/lineShopping.js";
+import { nameMatcher } from "../players/playerDirectory.js";
+
+function fmtLocalDate(d) {
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+
+const nameMatches = (input, candidate) => nameMatcher(input)(candidate);
+
+function isFinalGame(g) {
+  const st = String(g?.Status ?? "").toLowerCase();
+  return g?.IsClosed === true || st.startsWith("final") || st.startsWith("f/");
+}
+function isVoidGame(g) {
+  const st = String(g?.Status ?? "").toLowerCase();
+  return st.includes("postponed") || st.includes("canceled") || st.includes("cancelled") || st.includes("forfeit");
+}
+
+function sideResult(actual, line, side) {
+  if (!Number.isFinite(actual) || !Number.isFinite(line)) return null;
+  if (actual === line) return "PUSH";
+  const over = actual > line;
+  return (side === "UNDER" ? !over : over) ? "WIN" : "LOSS";
+}
+
+export class LedgerGrader {
+  constructor(apiClient) {
+    this.apiClient = apiClient || null;
+    this.props = new PlayerPropsEngine(null);
+    this.games = new GameLinesEngine(apiClient);
+    this._cache = new Map(); // endpoint tag -> rows
+  }
+
+  async _rows(tag, fn) {
+    if (!this._cache.has(tag)) {
+      let rows = [];
+      try { rows = await fn(); } catch { rows = []; }
+      this._cache.set(tag, Array.isArray(rows) ? rows : []);
+    }
+    return this._cache.get(tag);
+  }
+
+  async _playerRows(sport, dateStr) {
+    const c = this.apiClient;
+    if (!c) return [];
+    if (sport === "NFL") {
+      const { season, week } = this.games._inferNFLSeasonWeek(dateStr);
+      return this._rows(`NFL:pw:${season}:${week}`, () => c.getNFLPlayerGameStatsByWeek?.(season, week));
+    }
+    const fn = c[`get${sport}PlayerStatsByDate`];
+    return typeof fn === "function" ? this._rows(`${sport}:pd:${dateStr}`, () => fn.call(c, dateStr)) : [];
+  }
+
+  async _gameRows(sport, dateStr) {
+    const c = this.apiClient;
+    if (!c) return [];
+    const fn = sport === "NFL" ? c.getNFLScoresByDate : c[`get${sport}GamesByDate`];
+    return typeof fn === "function" ? this._rows(`${sport}:gd:${dateStr}`, () => fn.call(c, dateStr)) : [];
+  }
+
+  async _oddsRows(sport, dateStr) {
+    const c = this.apiClient;
+    if (!c) return [];
+    if (sport === "NFL") {
+      const { week } = this.games._inferNFLSeasonWeek(dateStr);
+      return this._rows(`NFL:odds:${week}`, () => c.getNFLGameOdds?.(week));
+    }
+    const fn = c[`get${sport}GameOdds`];
+    return typeof fn === "function" ? this._rows(`${sport}:odds:${dateStr}`, () => fn.call(c, dateStr)) : [];
+  }
+
+  // → { status, actual } or null when the result isn't available yet
+  async gradeProp(pick) {
+    const rows = await this._playerRows(pick.sport, pick.gameDate);
+    if (!rows.length) return null;
+    const row =
+      (pick.playerId != null && rows.find(r => Number(r?.PlayerID) === Number(pick.playerId))) ||
+      rows.find(r => nameMatches(pick.player, r?.Name));
+    if (!row) return { status: "VOID", actual: null, note: "player not in box scores" };
+    const actual = this.props._pickValueFromRow(pick.sport, pick.prop, row);
+    const status = sideResult(actual, Number(pick.line), pick.side);
+    return status ? { status, actual } : { status: "VOID", actual: null, note: "stat not available" };
+  }
+
+  async gradeGame(pick) {
+    const rows = await this._gameRows(pick.sport, pick.gameDate);
+    const g = rows.find(r => r?.HomeTeam === pick.home && r?.AwayTeam === pick.away);
+    if (!g) return rows.length ? { status: "VOID", actual: null, note: "game not found" } : null;
+    if (isVoidGame(g)) return { status: "VOID", actual: null, note: String(g.Status) };
+    if (!isFinalGame(g)) return null;
+
+    const hs = Number(g?.HomeTeamScore ?? g?.HomeTeamRuns ?? g?.HomeScore);
+    const as = Number(g?.AwayTeamScore ?? g?.AwayTeamRuns ?? g?.AwayScore);
+    if (!Number.isFinite(hs) || !Number.isFinite(as)) return null;
+    const teamIsHome = pick.teamIsHome ?? pick.team === pick.home;
+    const margin = teamIsHome ? hs - as : as - hs;
+
+    let status;
+    if (pick.market === "TOTAL") status = sideResult(hs + as, Number(pick.line), pick.side);
+    else if (pick.market === "SPREAD") status = sideResult(margin + Number(pick.line), 0, "OVER");
+    else status = margin === 0 ? "PUSH" : margin > 0 ? "WIN" : "LOSS";
+    return { status, actual: { home: hs, away: as } };
+  }
+
+  // Closing consensus no-vig probability for the picked side at the picked line
+  async closingForGame(pick) {
+    const rows = await this._oddsRows(pick.sport, pick.gameDate);
+    const g = rows.find(r => r?.HomeTeam === pick.home && r?.AwayTeam === pick.away);
+    const books = Array.isArray(g?.PregameOdds) ? g.PregameOdds : [];
+    const market = parseGameLine(pick.lineText);
+    if (!books.length || !market) return null;
+
+    const teamIsHome = pick.teamIsHome ?? pick.team === pick.home;
+    const input = { sport: pick.sport, market };
+    const probs = books
+      .filter(b => !/consensus/i.test(String(b?.Sportsbook ?? "")))
+      .map(b => this.games._bookQuote(b, input, teamIsHome)?.prob)
+      .filter(Number.isFinite);
+    const yes = median(probs);
+    if (yes == null) return null;
+    const prob = pick.side === "UNDER" ? 1 - yes : yes;
+    const taken = Number(pick.price?.decimal);
+    return { decimal: null, prob, clv: Number.isFinite(taken) && taken > 1 ? prob * taken - 1 : null };
+  }
+
+  // Grade every pending pick whose game date is before `now` (local date)
+  async gradePending(ledger, { now = new Date() } = {}) {
+    const today = fmtLocalDate(now);
+    const pending = (await ledger.list({ status: "PENDING" })).filter(p => p.gameDate < today);
+    const out = { checked: pending.length, graded: 0, stillPending: 0, results: [] };
+
+    for (const pick of pending) {
+      const graded = pick.kind === "game" ? await this.gradeGame(pick) : await this.gradeProp(pick);
+      if (!graded) { out.stillPending++; continue; }
+      const patch = { ...graded, gradedAt: new Date().toISOString() };
+      if (pick.kind === "game" && !pick.closing) {
+        const closing = await this.closingForGame(pick);
+        if (closing) patch.closing = closing;
+      }
+      await ledger.update(pick.id, patch);
+      out.graded++;
+      out.results.push({ id: pick.id, ...graded });
+    }
+    return out;
+  }
+}
@@ -0,0 +1,283 @@
+// lib/markets/propMarkets.js
+// Prop market grammar + registry: "Points + Rebounds 30.5", "PRA O 35.5", "3-Pt Made 2.5",
+// "Under 6.5 Strikeouts" → { stat, line, side } and the SportsDataIO fields each stat reads per sport.
+
+const num = (v) => {
+  const n = Number(v);
+  return v === null || v === undefined || v === "" || !Number.isFinite(n) ? NaN : n;
+};
+
+// STRICT: per-game pitcher strikeouts; avoid batting Ks/rates
+function mlbPitcherStrikeouts(row) {
+  const fields = ["PitchingStrikeouts", "PitcherStrikeouts", "StrikeoutsPitched"];
+  for (const k of fields) {
+    const v = num(row?.[k]);
+    if (Number.isFinite(v)) return v;
+  }
+
+  // Derive from rate only if we also have game IP
+  const k9 = num(row?.PitchingStrikeoutsPerNine ?? row?.StrikeoutsPerNine);
+  const ip = inningsPitched(row);
+  if (Number.isFinite(k9) && Number.isFinite(ip) && ip > 0) return (k9 * ip) / 9;
+
+  // Never return batting "Strikeouts" or generic "Ks" as a last resort
+  return NaN;
+}
+
+// Sum of SDIO fields; any missing component makes the stat unavailable
+const sumOf = (...fields) => (row) => {
+  let total = 0;
+  for (const f of fields) {
+    const v = num(row?.[f]);
+    if (!Number.isFinite(v)) return NaN;
+    total += v;
+  }
+  return total;
+};
+
+// Basketball components (NBA and WNBA share field names)
+const BASKETBALL_BASE = {
+  points:    { label: "Points",    aliases: ["points", "pts", "point", "p"], field: "Points" },
+  rebounds:  { label: "Rebounds",  aliases: ["rebounds", "reb", "rebs", "rebound", "r"], field: "Rebounds" },
+  assists:   { label: "Assists",   aliases: ["assists", "ast", "asts", "assist", "a"], field: "Assists" },
+  steals:    { label: "Steals",    aliases: ["steals", "stl", "stls", "steal"], field: "Steals" },
+  blocks:    { label: "Blocks",    aliases: ["blocks", "blk", "blks", "block", "blockedshots"], field: "BlockedShots" },
+  turnovers: { label: "Turnovers", aliases: ["turnovers", "to", "tov", "turnover"], field: "Turnovers" },
+  threes:    { label: "3-Pt Made", aliases: ["threes", "3pm", "3ptm", "3ptmade", "3pointersmade", "threepointersmade", "3pointers", "3s", "3pt"], field: "ThreePointersMade" },
+};
+
+// Combos keyed by sorted component list
+const BASKETBALL_COMBOS = {
+  pra:    { label: "Pts + Reb + Ast", parts: ["points", "rebounds", "assists"], aliases: ["pra", "ptsrebast"] },
+  pr:     { label: "Pts + Reb",       parts: ["points", "rebounds"], aliases: ["pr", "ptsreb"] },
+  pa:     { label: "Pts + Ast",       parts: ["points", "assists"], aliases: ["pa", "ptsast"] },
+  ra:     { label: "Reb + Ast",       parts: ["rebounds", "assists"], aliases: ["ra", "rebast"] },
+  stocks: { label: "Stocks (Stl + Blk)", parts: ["steals", "blocks"], aliases: ["stocks", "stlblk"] },
+};
+
+// model: "normal" (discrete, continuity-corrected) | "continuous" | "poisson" is the default family;
+// with enough recent games StatisticalModels.chooseDistribution may swap counts to negative binomial /
+// empirical and continuous stats to a skew-corrected tail. sigma clamps the sample std dev;
+// varianceFloor is used when the sample is too small to estimate spread
+function basketballRegistry() {
+  const reg = {};
+  for (const [key, b] of Object.entries(BASKETBALL_BASE)) {
+    const sigma = key === "points" ? null : (key === "rebounds" || key === "assists" ? [1.3, 5.0] : [0.6, 3.0]);
+    reg[key] = { key, label: b.label, aliases: b.aliases, fields: [b.field], value: sumOf(b.field), model: "normal", sigma, varianceFloor: 2.25 };
+  }
+  for (const [key, c] of Object.entries(BASKETBALL_COMBOS)) {
+    const fields = c.parts.map(p => BASKETBALL_BASE[p].field);
+    reg[key] = { key, label: c.label, aliases: c.aliases, parts: c.parts, fields, value: sumOf(...fields), model: "normal", sigma: key === "stocks" ? [0.8, 3.5] : null, varianceFloor: 2.25 };
+  }
+  return reg;
+}
+
+export const PROP_MARKETS = {
+  NBA: basketballRegistry(),
+  WNBA: basketballRegistry(),
+  MLB: mlbRegistry(),
+  NFL: nflRegistry(),
+  NHL: nhlRegistry(),
+};
+
+// MLB appearance rules: pitching markets need a pitcher with recorded innings,
+// batting markets a plate appearance (or at-bat when PA isn't reported)
+function inningsPitched(row) {
+  const outs = outsRecorded(row);
+  return Number.isFinite(outs) ? outs / 3 : NaN;
+}
+
+function pitched(row) {
+  const pos = String(row?.Position || row?.PositionCategory || "").toUpperCase();
+  return pos.includes("P") && inningsPitched(row) > 0;
+}
+
+function batted(row) {
+  const pa = num(row?.PlateAppearances);
+  if (Number.isFinite(pa)) return pa > 0;
+  return num(row?.AtBats) > 0;
+}
+
+// PitchingInningsPitchedFull + PitchingInningsPitchedOuts (0-2) when the feed has them; else the
+// decimal field in baseball notation: "6.2" = 6⅔ innings → 6 * 3 + 2 = 20 outs
+function outsRecorded(row) {
+  const full = num(row?.PitchingInningsPitchedFull), extra = num(row?.PitchingInningsPitchedOuts);
+  if (Number.isFinite(full) && Number.isFinite(extra)) return full * 3 + extra;
+  for (const k of ["PitchingInningsPitchedDecimal", "InningsPitchedDecimal", "InningsPitched"]) {
+    const v = num(row?.[k]);
+    if (!Number.isFinite(v)) continue;
+    const whole = Math.trunc(v);
+    const tenths = Math.round((v - whole) * 10);
+    // .1 / .2 are outs; anything else is a true fraction of an inning
+    return whole * 3 + (tenths <= 2 ? tenths : Math.round((v - whole) * 3));
+  }
+  return NaN;
+}
+
+function totalBases(row) {
+  const tb = num(row?.TotalBases);
+  if (Number.isFinite(tb)) return tb;
+  const [b1, b2, b3, hr] = ["Singles", "Doubles", "Triples", "HomeRuns"].map(f => num(row?.[f]));
+  return [b1, b2, b3, hr].every(Number.isFinite) ? b1 + 2 * b2 + 3 * b3 + 4 * hr : NaN;
+}
+
+function mlbRegistry() {
+  const pitcher = (key, label, aliases, fields, value, model, sigma, varianceFloor) =>
+    ({ key, label, aliases, fields, value, role: "pitcher", appeared: pitched, model, sigma, varianceFloor });
+  const batter = (key, label, aliases, fields, value, sigma, varianceFloor, parts) =>
+    ({ key, label, aliases, fields, value, parts, role: "batter", appeared: batted, model: "poisson", sigma, varianceFloor });
+  const list = [
+    {
+      ...pitcher("strikeouts", "Pitcher Strikeouts",
+        ["strikeouts", "ks", "k", "so", "pitcherstrikeouts", "pitchingstrikeouts", "strikeoutsthrown", "pitcherks"],
+        ["PitchingStrikeouts"], mlbPitcherStrikeouts, "poisson", [1.2, 3.5], 1.44),
+      seasonValue: (r) => num(r?.PitchingStrikeouts ?? r?.Strikeouts),
+    },
+    pitcher("outs", "Pitching Outs", ["outs", "outsrecorded", "pitchingouts", "pitcherouts"],
+      ["PitchingInningsPitchedDecimal"], outsRecorded, "normal", [2.5, 6], 9),
+    pitcher("earned_runs", "Earned Runs Allowed", ["earnedruns", "er", "earnedrunsallowed", "runsallowed"],
+      ["PitchingEarnedRuns"], sumOf("PitchingEarnedRuns"), "poisson", [0.8, 2.5], 1.5),
+    pitcher("hits_allowed", "Hits Allowed", ["hitsallowed", "pitcherhits", "pitchinghits", "hitsagainst"],
+      ["PitchingHits"], sumOf("PitchingHits"), "poisson", [1.2, 3], 2.5),
+    pitcher("walks_allowed", "Walks Allowed", ["walksallowed", "pitcherwalks", "pitchingwalks", "bballowed"],
+      ["PitchingWalks"], sumOf("PitchingWalks"), "poisson", [0.7, 2], 1.0),
+
+    batter("hits", "Hits", ["hits", "h", "batterhits"], ["Hits"], sumOf("Hits"), [0.5, 1.5], 0.6),
+    batter("total_bases", "Total Bases", ["totalbases", "tb", "bases"], ["Singles", "Doubles", "Triples", "HomeRuns"], totalBases, [0.8, 2.5], 1.5),
+    batter("home_runs", "Home Runs", ["homeruns", "hr", "hrs", "homer", "homers"], ["HomeRuns"], sumOf("HomeRuns"), [0.3, 0.8], 0.15),
+    batter("rbis", "RBIs", ["rbis", "rbi", "runsbattedin"], ["RunsBattedIn"], sumOf("RunsBattedIn"), [0.5, 1.6], 0.6),
+    batter("runs", "Runs", ["runs", "r", "runsscored"], ["Runs"], sumOf("Runs"), [0.5, 1.3], 0.5),
+    batter("hits_runs_rbis", "Hits + Runs + RBIs", ["hitsrunsrbis", "hrr", "hitsrunsrbi", "hrbi"],
+      ["Hits", "Runs", "RunsBattedIn"], sumOf("Hits", "Runs", "RunsBattedIn"), [1, 2.8], 1.5, ["hits", "runs", "rbis"]),
+    batter("batter_strikeouts", "Batter Strikeouts", ["batterstrikeouts", "hitterstrikeouts", "batterks", "hitterks", "strikeoutsbatter"],
+      ["Strikeouts"], sumOf("Strikeouts"), [0.5, 1.4], 0.6),
+  ];
+  return Object.fromEntries(list.map(m => [m.key, m]));
+}
+
+// NFL: yardage is continuous (Normal tail, per-stat sigma clamps); attempts/receptions/TDs/INTs
+// are counts (Poisson). varianceFloor applies when fewer than 3 recent games are available.
+function nflRegistry() {
+  const yards = (key, label, aliases, fields, sigma, varianceFloor, parts) =>
+    ({ key, label, aliases, fields, parts, value: sumOf(...fields), model: "continuous", sigma, varianceFloor });
+  const count = (key, label, aliases, fields, sigma, varianceFloor, parts) =>
+    ({ key, label, aliases, fields, parts, value: sumOf(...fields), model: "poisson", sigma, varianceFloor });
+  const list = [
+    yards("passing_yards", "Passing Yards", ["passingyards", "passyds", "passyards", "passing", "pyds"], ["PassingYards"], [20, 120], 400),
+    yards("rushing_yards", "Rushing Yards", ["rushingyards", "rushyds", "rushyards", "rushing", "ryds"], ["RushingYards"], [10, 60], 225),
+    yards("receiving_yards", "Receiving Yards", ["receivingyards", "recyds", "recyards", "receiving", "recvyds"], ["ReceivingYards"], [10, 60], 225),
+    yards("rush_rec_yards", "Rush + Rec Yards", ["rushrecyards", "rushrecyds", "rushingreceivingyards", "scrimmageyards", "scrimmage"],
+      ["RushingYards", "ReceivingYards"], [15, 70], 400, ["rushing_yards", "receiving_yards"]),
+    yards("pass_rush_yards", "Pass + Rush Yards", ["passrushyards", "passrushyds", "passingrushingyards"],
+      ["PassingYards", "RushingYards"], [25, 130], 400, ["passing_yards", "rushing_yards"]),
+    count("receptions", "Receptions", ["receptions", "rec", "recs", "catches", "reception"], ["Receptions"], [0.8, 4], 1.5),
+    count("completions", "Pass Completions", ["completions", "passcompletions", "comp", "comps", "passingcompletions"], ["PassingCompletions"], [2.5, 8], 9),
+    count("pass_attempts", "Pass Attempts", ["passattempts", "attempts", "passatt", "passingattempts", "att"], ["PassingAttempts"], [3, 10], 16),
+    count("passing_tds", "Passing TDs", ["passingtds", "passtds", "passingtouchdowns", "passtouchdowns", "tdpasses"], ["PassingTouchdowns"], [0.5, 2], 0.8),
+    count("interceptions", "Interceptions Thrown", ["interceptions", "ints", "int", "interceptionsthrown", "passinginterceptions"], ["PassingInterceptions"], [0.4, 1.5], 0.5),
+    count("rush_attempts", "Rush Attempts", ["rushattempts", "rushatt", "carries", "rushingattempts"], ["RushingAttempts"], [2, 7], 9),
+    count("rush_rec_tds", "Rush + Rec TDs", ["rushrectds", "anytimetd", "anytimetouchdown", "touchdowns", "tds", "td"],
+      ["RushingTouchdowns", "ReceivingTouchdowns"], [0.4, 1.5], 0.4),
+  ];
+  return Object.fromEntries(list.map(m => [m.key, m]));
+}
+
+// NHL: every market is a count (Poisson). Skaters need ice time, goalies a goaltending appearance.
+function nhlGoalie(row) {
+  return String(row?.Position || "").toUpperCase() === "G";
+}
+
+function skated(row) {
+  if (nhlGoalie(row)) return false;
+  const mins = num(row?.Minutes), shifts = num(row?.Shifts);
+  if (Number.isFinite(mins) || Number.isFinite(shifts)) return (mins || 0) > 0 || (shifts || 0) > 0;
+  return true;
+}
+
+function goaltended(row) {
+  if (!nhlGoalie(row)) return false;
+  const mins = num(row?.Minutes);
+  return Number.isFinite(mins) ? mins > 0 : num(row?.Saves) + num(row?.GoaltendingGoalsAgainst ?? row?.GoalsAgainst) > 0;
+}
+
+function nhlRegistry() {
+  const skater = (key, label, aliases, fields, sigma, varianceFloor, parts) =>
+    ({ key, label, aliases, fields, parts, value: sumOf(...fields), role: "skater", appeared: skated, model: "poisson", sigma, varianceFloor });
+  const list = [
+    skater("shots_on_goal", "Shots on Goal", ["shotsongoal", "sog", "shots", "shot"], ["ShotsOnGoal"], [0.8, 2.5], 1.5),
+    skater("goals", "Goals", ["goals", "goal", "anytimegoal", "anytimegoalscorer", "goalscorer"], ["Goals"], [0.3, 0.9], 0.2),
+    skater("assists", "Assists", ["assists", "assist", "ast", "a"], ["Assists"], [0.4, 1.1], 0.3),
+    skater("points", "Points", ["points", "point", "pts", "p"], ["Goals", "Assists"], [0.6, 1.5], 0.5, ["goals", "assists"]),
+    skater("blocked_shots", "Blocked Shots", ["blockedshots", "blocks", "blk", "blocked"], ["BlockedShots"], [0.6, 1.8], 0.8),
+    {
+      key: "saves", label: "Goalie Saves", aliases: ["saves", "save", "sv", "goaliesaves"], fields: ["Saves"],
+      value: sumOf("Saves"), role: "goalie", appeared: goaltended, model: "poisson", sigma: [3, 8], varianceFloor: 25,
+    },
+  ];
+  return Object.fromEntries(list.map(m => [m.key, m]));
+}
+
+const compact = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9+]/g, "");
+
+function lookupStat(sport, phrase) {
+  const reg = PROP_MARKETS[sport];
+  if (!reg) return null;
+  const whole = compact(phrase).replace(/\+/g, "");
+  for (const m of Object.values(reg)) {
+    if (m.aliases.includes(whole)) return m;
+  }
+  // "Points + Rebounds", "P+R+A", "Pts & Ast" → combo by component set
+  const parts = String(phrase).toLowerCase().split(/\s*(?:\+|&|\band\b)\s*/).map(compact).filter(Boolean);
+  if (parts.length < 2) return null;
+  const base = parts.map(p => Object.values(reg).find(m => !m.parts && m.aliases.includes(p))?.key);
+  if (base.some(k => !k)) return null;
+  const want = [...new Set(base)].sort().join("+");
+  return Object.values(reg).find(m => m.parts && [...m.parts].sort().join("+") === want) || null;
+}
+
+// Sport-agnostic pieces: side words and the line (a number not glued to letters or a hyphen,
+// so "3-Pt Made 2.5" → 2.5 and "3PM 1.5" → 1.5)
+export function parsePropText(text) {
+  let s = ` ${String(text || "").trim()} `.replace(/\so\s*\/\s*u(?=\s|\d)/i, " ");
+  let side = null;
+  const sideRe = /\s(over|under|o|u)(?=\s|\d)/i;
+  const sm = s.match(sideRe);
+  if (sm) {
+    side = sm[1].toLowerCase().startsWith("o") ? "OVER" : "UNDER";
+    s = s.replace(sideRe, " ");
+  }
+  const nums = [...s.matchAll(/(?<![\w.-])(\d+(?:\.\d+)?)(?![\w-])/g)];
+  const last = nums[nums.length - 1];
+  const line = last ? parseFloat(last[1]) : null;
+  const statText = last ? (s.slice(0, last.index) + s.slice(last.index + last[0].length)) : s;
+  return { line, side, statText: statText.replace(/\s+/g, " ").trim() };
+}
+
+// → { sport, stat, label, line, side, fields, model, sigma, varianceFloor, value(row), seasonValue(row) } | null
+export function parsePropMarket(sport, text) {
+  const sp = String(sport || "").toUpperCase();
+  const { line, side, statText } = parsePropText(text);
+  if (line === null || !statText) return null;
+  const m = lookupStat(sp, statText);
+  if (!m) return null;
+  return {
+    sport: sp,
+    stat: m.key,
+    label: m.label,
+    role: m.role || null,
+    line,
+    side,
+    fields: m.fields,
+    model: m.model,
+    sigma: m.sigma,
+    varianceFloor: m.varianceFloor,
+    value: m.value,
+    seasonValue: m.seasonValue || m.value,
+    appeared: m.appeared || (() => true),
+  };
+}
+
+// Labels for error messages / UI hints
+export function supportedMarkets(sport) {
+  return Object.values(PROP_MARKETS[String(sport || "").toUpperCase()] || {}).map(m => m.label);
+}
@@ -0,0 +1,83 @@
+// lib/markets/propMarkets.test.js — node --test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parsePropMarket, parsePropText, supportedMarkets } from "./propMarkets.js";
+import handler from "../../api/analyze-prop.js";
+
+const parsed = (sport, text) => {
+  const m = parsePropMarket(sport, text);
+  assert.ok(m, `${sport} "${text}" should parse`);
+  return { stat: m.stat, line: m.line, side: m.side, fields: m.fields };
+};
+
+test("combos read every component instead of the first stat word", () => {
+  assert.deepEqual(parsed("NBA", "Points + Rebounds 30.5"), { stat: "pr", line: 30.5, side: null, fields: ["Points", "Rebounds"] });
+  for (const text of ["PRA 35.5", "Pts + Reb + Ast 35.5", "Points + Rebounds + Assists 35.5"]) {
+    assert.equal(parsed("NBA", text).stat, "pra", text);
+  }
+  assert.equal(parsed("NBA", "P+R 28.5").stat, "pr");
+  assert.equal(parsed("NBA", "R+A 12.5").stat, "ra");
+  assert.equal(parsed("NBA", "Rebounds + Assists 12.5").stat, "ra");
+  assert.equal(parsed("NBA", "Pts & Ast 30.5").stat, "pa");
+  assert.deepEqual(parsed("WNBA", "Stocks 2.5").fields, ["Steals", "BlockedShots"]);
+  assert.equal(parsed("NBA", "Steals + Blocks 2.5").stat, "stocks");
+  assert.equal(parsed("NFL", "Rush + Rec Yards 80.5").stat, "rush_rec_yards");
+});
+
+test("the line is the stand-alone number, not one glued to the stat", () => {
+  assert.deepEqual(parsed("NBA", "3-Pt Made 2.5"), { stat: "threes", line: 2.5, side: null, fields: ["ThreePointersMade"] });
+  assert.equal(parsed("NBA", "3PM 1.5").line, 1.5);
+  assert.equal(parsed("NBA", "Points 23").line, 23);
+});
+
+test("side words before or after the line", () => {
+  assert.deepEqual(parsed("NBA", "PRA O 35.5"), { stat: "pra", line: 35.5, side: "OVER", fields: ["Points", "Rebounds", "Assists"] });
+  assert.equal(parsed("NBA", "Over 24.5 Points").side, "OVER");
+  assert.equal(parsed("NBA", "Points u 24.5").side, "UNDER");
+  assert.equal(parsed("MLB", "Under 6.5 Strikeouts").side, "UNDER");
+  assert.equal(parsed("NBA", "Points O/U 24.5").side, null);
+  assert.deepEqual(parsePropText("Under 6.5 Rebounds"), { line: 6.5, side: "UNDER", statText: "Rebounds" });
+});
+
+test("stats map to each sport's SportsDataIO fields", () => {
+  assert.deepEqual(parsed("MLB", "Strikeouts 6.5").fields, ["PitchingStrikeouts"]);
+  assert.deepEqual(parsed("MLB", "Batter Strikeouts 1.5").fields, ["Strikeouts"]);
+  assert.deepEqual(parsed("NHL", "SOG 3.5").fields, ["ShotsOnGoal"]);
+  assert.deepEqual(parsed("NHL", "Points 0.5").fields, ["Goals", "Assists"]);
+  assert.deepEqual(parsed("NBA", "Blocks 1.5").fields, ["BlockedShots"]);
+});
+
+test("unknown markets, sports and missing lines don't parse", () => {
+  for (const [sport, text] of [["NBA", "Dunks 2.5"], ["NBA", "Points + Dunks 10.5"], ["NBA", "Points"], ["NBA", ""], ["XFL", "Points 10.5"], ["NFL", "Saves 27.5"]]) {
+    assert.equal(parsePropMarket(sport, text), null, `${sport} "${text}"`);
+  }
+  assert.ok(supportedMarkets("NBA").includes("Pts + Reb + Ast"));
+  assert.deepEqual(supportedMarkets("XFL"), []);
+});
+
+test("MLB outs read full innings + outs, else baseball-notation innings", () => {
+  const outs = parsePropMarket("MLB", "Outs 17.5");
+  assert.equal(outs.value({ PitchingInningsPitchedDecimal: 6.2 }), 20);
+  assert.equal(outs.value({ PitchingInningsPitchedDecimal: 6.1 }), 19);
+  assert.equal(outs.value({ PitchingInningsPitchedDecimal: 6 }), 18);
+  assert.equal(outs.value({ PitchingInningsPitchedFull: 5, PitchingInningsPitchedOuts: 1, PitchingInningsPitchedDecimal: 5.33 }), 16);
+  assert.equal(outs.value({ InningsPitched: 180.2 }), 542);
+  assert.ok(Number.isNaN(outs.value({})));
+  // K/9 fallback uses true innings: 9 K/9 over 6⅔ innings
+  const ks = parsePropMarket("MLB", "Strikeouts 5.5");
+  assert.ok(Math.abs(ks.value({ PitchingStrikeoutsPerNine: 9, PitchingInningsPitchedDecimal: 6.2 }) - 20 / 3) < 1e-9);
+});
+
+test("analyze-prop rejects an unparseable market with 400 and the supported list", async () => {
+  const res = {
+    statusCode: 200, body: null, headers: {},
+    setHeader(k, v) { this.headers[k] = v; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    end() { return this; },
+  };
+  await handler({ method: "POST", body: { sport: "NBA", player: "Jalen Brunson", prop: "Dunks 2.5", odds: { over: 1.9, under: 1.9 } } }, res);
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.error, /Unrecognized prop market "Dunks 2\.5" for NBA/);
+  assert.ok(res.body.supported.includes("Points"));
+});
@@ -0,0 +1,216 @@
+// lib/models/calibration.js
+// Probability calibration fitted from graded ledger picks.
+// Isotonic (pool-adjacent-violators) or Platt (logistic on logit p) maps, stratified by
+// sport and stat with fallback sport → global → identity, plus reliability/Brier/log-loss reports.
+import { promises as fs } from "node:fs";
+import path from "node:path";
+
+export const DEFAULT_CALIBRATION_PATH = path.join(process.cwd(), ".data", "calibration.json");
+export const MIN_STRATUM_SAMPLES = 50;
+
+const EPS = 1e-6;
+const PRED_FLOOR = 0.01;
+const clampP = (p) => Math.min(1 - EPS, Math.max(EPS, Number(p)));
+const logit = (p) => { const q = clampP(p); return Math.log(q / (1 - q)); };
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+// ---------- fitting ----------
+
+// points: [{ p, y }] with y ∈ {0,1}; returns knots { x: [...], y: [...] } (non-decreasing)
+export function fitIsotonic(points) {
+  const sorted = points.slice().sort((a, b) => a.p - b.p);
+  const blocks = []; // { sumY, n, minX, maxX }
+  for (const { p, y } of sorted) {
+    blocks.push({ sumY: y, n: 1, minX: p, maxX: p });
+    while (blocks.length > 1) {
+      const b = blocks[blocks.length - 1], a = blocks[blocks.length - 2];
+      if (a.sumY / a.n <= b.sumY / b.n) break;
+      blocks.splice(-2, 2, { sumY: a.sumY + b.sumY, n: a.n + b.n, minX: a.minX, maxX: b.maxX });
+    }
+  }
+  const x = [], y = [];
+  for (const b of blocks) {
+    const v = b.sumY / b.n;
+    x.push(b.minX); y.push(v);
+    if (b.maxX !== b.minX) { x.push(b.maxX); y.push(v); }
+  }
+  return { x, y };
+}
+
+function predictIsotonic({ x, y }, p) {
+  if (!x.length) return p;
+  if (p <= x[0]) return y[0];
+  if (p >= x[x.length - 1]) return y[y.length - 1];
+  let lo = 0, hi = x.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (x[mid] <= p) lo = mid; else hi = mid;
+  }
+  const t = x[hi] === x[lo] ? 0 : (p - x[lo]) / (x[hi] - x[lo]);
+  return y[lo] + t * (y[hi] - y[lo]);
+}
+
+// Platt scaling on logit(p): P(y=1) = sigmoid(a * logit(p) + b), Newton–Raphson with
+// Platt's smoothed targets to avoid overfitting tiny strata.
+export function fitPlatt(points, iters = 50) {
+  const nPos = points.filter(pt => pt.y === 1).length;
+  const nNeg = points.length - nPos;
+  const tPos = (nPos + 1) / (nPos + 2), tNeg = 1 / (nNeg + 2);
+  let a = 1, b = 0;
+  for (let k = 0; k < iters; k++) {
+    let g0 = 0, g1 = 0, h00 = 1e-9, h01 = 0, h11 = 1e-9;
+    for (const { p, y } of points) {
+      const x = logit(p);
+      const t = y === 1 ? tPos : tNeg;
+      const q = sigmoid(a * x + b);
+      const w = q * (1 - q);
+      g0 += (q - t) * x; g1 += (q - t);
+      h00 += w * x * x; h01 += w * x; h11 += w;
+    }
+    const det = h00 * h11 - h01 * h01;
+    if (!(Math.abs(det) > 1e-12)) break;
+    const da = (h11 * g0 - h01 * g1) / det;
+    const db = (h00 * g1 - h01 * g0) / det;
+    a -= da; b -= db;
+    if (Math.abs(da) < 1e-8 && Math.abs(db) < 1e-8) break;
+  }
+  return { a, b };
+}
+
+const predictPlatt = ({ a, b }, p) => sigmoid(a * logit(p) + b);
+
+// ---------- scoring ----------
+
+export function brierScore(points) {
+  if (!points.length) return null;
+  return points.reduce((s, { p, y }) => s + Math.pow(p - y, 2), 0) / points.length;
+}
+
+export function logLoss(points) {
+  if (!points.length) return null;
+  return -points.reduce((s, { p, y }) => {
+    const q = clampP(p);
+    return s + (y === 1 ? Math.log(q) : Math.log(1 - q));
+  }, 0) / points.length;
+}
+
+// Equal-width bins: mean predicted vs observed frequency
+export function reliabilityCurve(points, bins = 10) {
+  const out = Array.from({ length: bins }, (_, i) => ({ lo: i / bins, hi: (i + 1) / bins, n: 0, sumP: 0, sumY: 0 }));
+  for (const { p, y } of points) {
+    const i = Math.min(bins - 1, Math.max(0, Math.floor(p * bins)));
+    out[i].n++; out[i].sumP += p; out[i].sumY += y;
+  }
+  return out.filter(b => b.n > 0).map(b => ({
+    bin: `${b.lo.toFixed(1)}-${b.hi.toFixed(1)}`,
+    n: b.n,
+    predicted: b.sumP / b.n,
+    observed: b.sumY / b.n,
+  }));
+}
+
+// ---------- ledger → points ----------
+
+// The engines calibrate the number they fuse: P(over) for props, P(side) for games.
+export function calibrationPoints(picks) {
+  const pts = [];
+  for (const pick of picks) {
+    if (pick.status !== "WIN" && pick.status !== "LOSS") continue;
+    const p = Number(pick.rawProbability);
+    if (!Number.isFinite(p)) continue;
+    const win = pick.status === "WIN";
+    const y = pick.kind === "prop" ? ((pick.side === "UNDER") !== win ? 1 : 0) : (win ? 1 : 0);
+    pts.push({ p, y, sport: pick.sport, stat: pick.propType });
+  }
+  return pts;
+}
+
+// ---------- calibrator ----------
+
+export class Calibrator {
+  constructor({ method = "isotonic", strata = {}, fittedAt = null, samples = 0 } = {}) {
+    this.method = method;
+    this.strata = strata; // key → { n, params }
+    this.fittedAt = fittedAt;
+    this.samples = samples;
+  }
+
+  // picks: ledger rows (graded); strata with fewer than minSamples fall back to the parent
+  static fit(picks, { method = "isotonic", minSamples = MIN_STRATUM_SAMPLES } = {}) {
+    const pts = calibrationPoints(picks);
+    const groups = new Map();
+    const push = (k, pt) => { if (!groups.has(k)) groups.set(k, []); groups.get(k).push(pt); };
+    for (const pt of pts) {
+      push("global", pt);
+      push(pt.sport, pt);
+      push(`${pt.sport}:${pt.stat}`, pt);
+    }
+    const strata = {};
+    for (const [key, group] of groups) {
+      if (group.length < minSamples) continue;
+      strata[key] = { n: group.length, params: method === "platt" ? fitPlatt(group) : fitIsotonic(group) };
+    }
+    return new Calibrator({ method, strata, fittedAt: new Date().toISOString(), samples: pts.length });
+  }
+
+  static fromJSON(obj) { return new Calibrator(obj || {}); }
+  toJSON() { return { method: this.method, fittedAt: this.fittedAt, samples: this.samples, strata: this.strata }; }
+
+  stratumFor({ sport, stat } = {}) {
+    const s = String(sport || "").toUpperCase();
+    for (const key of [`${s}:${stat}`, s, "global"]) {
+      if (this.strata[key]) return key;
+    }
+    return null;
+  }
+
+  predict(prob, ctx = {}) {
+    const key = this.stratumFor(ctx);
+    if (!key) return prob;
+    const { params } = this.strata[key];
+    const q = this.method === "platt" ? predictPlatt(params, prob) : predictIsotonic(params, prob);
+    // isotonic end blocks can be all-win/all-loss; never hand the stakers a certainty
+    return Math.max(PRED_FLOOR, Math.min(1 - PRED_FLOOR, q));
+  }
+
+  // Reliability + Brier/log-loss before and after calibration, overall and per stratum key
+  report(picks, bins = 10) {
+    const pts = calibrationPoints(picks);
+    const summarize = (group) => {
+      const afterPts = group.map(pt => ({ p: this.predict(pt.p, pt), y: pt.y }));
+      return {
+        n: group.length,
+        brier: { raw: brierScore(group), calibrated: brierScore(afterPts) },
+        logLoss: { raw: logLoss(group), calibrated: logLoss(afterPts) },
+        reliability: { raw: reliabilityCurve(group, bins), calibrated: reliabilityCurve(afterPts, bins) },
+      };
+    };
+    const byStratum = {};
+    const keyed = new Map();
+    for (const pt of pts) {
+      for (const k of [pt.sport, `${pt.sport}:${pt.stat}`]) {
+        if (!keyed.has(k)) keyed.set(k, []);
+        keyed.get(k).push(pt);
+      }
+    }
+    for (const [k, group] of keyed) byStratum[k] = summarize(group);
+    return { method: this.method, fittedAt: this.fittedAt, overall: summarize(pts), byStratum };
+  }
+}
+
+// ---------- persistence ----------
+
+export async function loadCalibrator(file = process.env.CALIBRATION_PATH || DEFAULT_CALIBRATION_PATH) {
+  try {
+    return Calibrator.fromJSON(JSON.parse(await fs.readFile(file, "utf8")));
+  } catch (e) {
+    if (e?.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+export async function saveCalibrator(calibrator, file = process.env.CALIBRATION_PATH || DEFAULT_CALIBRATION_PATH) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(calibrator.toJSON(), null, 2));
+  return file;
+}
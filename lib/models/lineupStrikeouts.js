@@ -0,0 +1,116 @@
+// lib/models/lineupStrikeouts.js
+// Opponent strikeout rate for MLB pitcher K props, relative to the league. Uses the probable
+// lineup first: each batter's K% against the pitcher's hand (season K% when there's no split),
+// shrunk toward the league and weighted by batting order. Without a lineup it uses the opponent's
+// team split vs LHP/RHP. Returns null when neither is available, so the caller can fall back to
+// recent team game logs (MatchupModel.strikeoutRate).
+import { plateAppearances } from "./matchup.js";
+
+// batterShrinkPA: PA that earn a batter half weight against the league rate;
+// teamShrinkPA: same for a team split; orderStep: extra weight per lineup spot above 5th
+export const LINEUP_PARAMS = { batterShrinkPA: 100, teamShrinkPA: 600, minTeamPA: 150, minBatters: 7, orderStep: 0.03, min: 0.85, max: 1.15 };
+
+const num = (v) => {
+  const n = Number(v);
+  return v === null || v === undefined || v === "" || !Number.isFinite(n) ? NaN : n;
+};
+
+// "L" / "Left" / "LHP" / "vs. LHP" → "L" (likewise "R"); switch / unknown → null
+export function handOf(text) {
+  const s = String(text || "").toUpperCase();
+  if (/\bLHP\b|\bLEFT|^L$/.test(s)) return "L";
+  if (/\bRHP\b|\bRIGHT|^R$/.test(s)) return "R";
+  return null;
+}
+
+const splitHand = (row) => handOf(row?.Split ?? row?.SplitType ?? row?.SplitName ?? row?.Description);
+
+function kLine(row) {
+  const k = num(row?.Strikeouts), pa = plateAppearances(row);
+  return Number.isFinite(k) && pa > 0 ? { k, pa } : null;
+}
+
+function leagueRate(rows) {
+  let k = 0, pa = 0;
+  for (const r of rows) {
+    const line = kLine(r);
+    if (line) { k += line.k; pa += line.pa; }
+  }
+  return pa > 0 ? k / pa : NaN;
+}
+
+// Opponent's batting lineup from a StartingLineupsByDate slate
+export function lineupFor(slate, team) {
+  const t = String(team || "").toUpperCase();
+  const g = (Array.isArray(slate) ? slate : []).find(x => x?.HomeTeam === t || x?.AwayTeam === t);
+  if (!g) return null;
+  const list = g.HomeTeam === t ? g.HomeBattingLineup : g.AwayBattingLineup;
+  const batters = (Array.isArray(list) ? list : []).filter(b => b?.PlayerID != null);
+  return batters.length ? { team: t, batters, gameId: g.GameID ?? null } : null;
+}
+
+// Team codes on a slate, for resolving "vs BOS" / "@ bos" without team logs
+export function slateTeam(slate, text) {
+  const toks = String(text || "").toUpperCase().replace(/[^A-Z0-9 ]/g, " ").split(/\s+/).filter(Boolean);
+  for (const g of Array.isArray(slate) ? slate : []) {
+    if (toks.includes(g?.HomeTeam)) return g.HomeTeam;
+    if (toks.includes(g?.AwayTeam)) return g.AwayTeam;
+  }
+  return null;
+}
+
+// → { factor, raw, basis, opponent, hand, allowed, league, sample, batters? } | null
+export function lineupStrikeoutRate({ opponent, hand, lineup, seasonRows = [], splitRows = [] } = {}, params = {}) {
+  const p = { ...LINEUP_PARAMS, ...params };
+  const league = leagueRate(seasonRows);
+  if (!(league > 0) || !opponent) return null;
+  const handRows = hand ? splitRows.filter(r => splitHand(r) === hand) : [];
+  const leagueVs = leagueRate(handRows);
+  const base = leagueVs > 0 ? leagueVs : league;
+  const vs = hand ? `vs${hand}HP` : null;
+  const result = (kind, allowed, sample, extra = {}) => {
+    const raw = allowed / base;
+    return {
+      factor: Math.max(p.min, Math.min(p.max, raw)), raw, basis: vs ? `${kind}:${vs}` : kind,
+      opponent, hand: hand || null, allowed, league: base, sample, ...extra,
+    };
+  };
+
+  // 1) probable lineup, batter by batter
+  if (lineup?.batters?.length) {
+    const season = new Map(seasonRows.map(r => [Number(r?.PlayerID), r]));
+    const split = new Map(handRows.map(r => [Number(r?.PlayerID), r]));
+    let sum = 0, den = 0, found = 0;
+    for (const b of lineup.batters) {
+      const id = Number(b.PlayerID);
+      const splitLine = kLine(split.get(id));
+      const line = splitLine || kLine(season.get(id));
+      if (!line) continue;
+      // season-only batters are moved onto the split's scale (league vs this hand / overall)
+      const rate = splitLine
+        ? (line.k + base * p.batterShrinkPA) / (line.pa + p.batterShrinkPA)
+        : (line.k + league * p.batterShrinkPA) / (line.pa + p.batterShrinkPA) * (base / league);
+      const order = num(b.BattingOrder);
+      const w = Number.isFinite(order) ? 1 + (5 - order) * p.orderStep : 1;
+      sum += w * rate; den += w; found++;
+    }
+    if (found >= p.minBatters && den > 0) {
+      return result("lineup", sum / den, `${found} batters`, { batters: found });
+    }
+  }
+
+  // 2) team split vs the pitcher's hand
+  if (handRows.length) {
+    let k = 0, pa = 0;
+    for (const r of handRows) {
+      if (String(r?.Team || "").toUpperCase() !== opponent) continue;
+      const line = kLine(r);
+      if (line) { k += line.k; pa += line.pa; }
+    }
+    if (pa >= p.minTeamPA) {
+      const shrunk = (k + base * p.teamShrinkPA) / (pa + p.teamShrinkPA);
+      return result("split", shrunk, `${pa} PA`);
+    }
+  }
+  return null;
+}
@@ -0,0 +1,160 @@
+// lib/models/matchup.js
+// Opponent matchup factors from SportsDataIO game logs: how much each team allows per stat
+// relative to the league average over a recent window, shrunk toward 1.0 on thin samples.
+// teamAllowed reads the market's fields off team game logs (rows with Opponent = X are what X
+// allowed); positionAllowed splits player box scores by position group (G/F/C); strikeoutRate is
+// the opponent's batting K/PA. Sport adapters pick which one applies (matchupFactor).
+
+// shrinkGames: opponent games that earn half weight; min/max clamp the multiplier on mu
+export const MATCHUP_PARAMS = { shrinkGames: 8, min: 0.85, max: 1.15, minMinutes: 10 };
+
+const num = (v) => {
+  const n = Number(v);
+  return v === null || v === undefined || v === "" || !Number.isFinite(n) ? NaN : n;
+};
+
+// "PG" / "SG" / "G-F" → "G", "SF" / "PF" / "F-C" → "F", "C" → "C" (first listed position wins)
+export function positionGroup(position) {
+  const p = String(position || "").toUpperCase().split(/[-/]/)[0].trim();
+  if (p === "PG" || p === "SG" || p === "G") return "G";
+  if (p === "SF" || p === "PF" || p === "F") return "F";
+  if (p === "C") return "C";
+  return null;
+}
+
+const gameKey = (row) => String(row?.GameID ?? row?.GlobalGameID ?? `${row?.Day ?? row?.DateTime ?? ""}:${row?.Team}:${row?.Opponent}`);
+
+// Plate appearances for a team batting line (older feeds omit the field)
+export function plateAppearances(row) {
+  const pa = num(row?.PlateAppearances);
+  if (Number.isFinite(pa)) return pa;
+  const parts = ["AtBats", "Walks", "HitByPitch", "SacrificeFlies", "Sacrifices"].map(f => num(row?.[f]) || 0);
+  const total = parts.reduce((a, b) => a + b, 0);
+  return total > 0 ? total : NaN;
+}
+
+// Running sums keyed by team (and optionally a sub-key) plus the league total
+class Tally {
+  constructor() { this.by = new Map(); this.league = { sum: 0, n: 0 }; }
+  add(key, value, weight = 1) {
+    if (!key || !Number.isFinite(value)) return;
+    const t = this.by.get(key) || { sum: 0, n: 0 };
+    t.sum += value; t.n += weight;
+    this.by.set(key, t);
+    this.league.sum += value; this.league.n += weight;
+  }
+  get(key) { return this.by.get(key) || null; }
+}
+
+export class MatchupModel {
+  constructor(sport, params = {}) {
+    this.sport = String(sport || "").toUpperCase();
+    this.params = { ...MATCHUP_PARAMS, ...params };
+    this.teamRows = [];       // team game logs
+    this.playerRows = [];     // player box scores (position splits)
+    this.teams = new Map();   // key → display name
+    this._seen = new Set();
+  }
+
+  addTeamGames(rows) {
+    for (const r of Array.isArray(rows) ? rows : []) {
+      if (!r?.Team || !r?.Opponent) continue;
+      const k = `t:${gameKey(r)}:${r.Team}`;
+      if (this._seen.has(k)) continue;
+      this._seen.add(k);
+      this.teamRows.push(r);
+      this._noteTeam(r.Team, r.Name);
+    }
+    return this;
+  }
+
+  addPlayerGames(rows) {
+    for (const r of Array.isArray(rows) ? rows : []) {
+      if (!r?.Opponent || r?.PlayerID == null) continue;
+      const k = `p:${gameKey(r)}:${r.PlayerID}`;
+      if (this._seen.has(k)) continue;
+      this._seen.add(k);
+      this.playerRows.push(r);
+      this._noteTeam(r.Opponent);
+    }
+    return this;
+  }
+
+  _noteTeam(key, name) {
+    const k = String(key).toUpperCase();
+    if (!this.teams.has(k) || (name && !this.teams.get(k))) this.teams.set(k, name || this.teams.get(k) || "");
+  }
+
+  // "vs BOS" / "@ bos" / "Celtics" → "BOS" (null when nothing matches)
+  resolveTeam(text) {
+    const toks = String(text || "").toUpperCase().replace(/[^A-Z0-9 ]/g, " ").split(/\s+/)
+      .filter(t => t && t !== "VS" && t !== "AT" && t !== "V");
+    for (const t of toks) if (this.teams.has(t)) return t;
+    for (const [key, name] of this.teams) {
+      const n = String(name || "").toUpperCase();
+      if (n && toks.some(t => t.length >= 3 && n.split(/\s+/).includes(t))) return key;
+    }
+    return null;
+  }
+
+  _shrink(raw, games) {
+    const { shrinkGames, min, max } = this.params;
+    const w = games / (games + shrinkGames);
+    return Math.max(min, Math.min(max, 1 + (raw - 1) * w));
+  }
+
+  // → { factor, raw, basis, opponent, allowed, league, games } | null
+  _result(basis, opponent, allowed, league, games) {
+    if (!(allowed >= 0) || !(league > 0) || !games) return null;
+    const raw = allowed / league;
+    return { factor: this._shrink(raw, games), raw, basis, opponent, allowed, league, games };
+  }
+
+  // Opponent's batting K/PA vs the league (pitcher strikeout props)
+  strikeoutRate(opponent) {
+    let oppK = 0, oppPA = 0, lgK = 0, lgPA = 0;
+    const games = new Set();
+    for (const r of this.teamRows) {
+      const k = num(r?.Strikeouts), pa = plateAppearances(r);
+      if (!Number.isFinite(k) || !(pa > 0)) continue;
+      lgK += k; lgPA += pa;
+      if (String(r.Team).toUpperCase() === opponent) { oppK += k; oppPA += pa; games.add(gameKey(r)); }
+    }
+    if (!(oppPA > 0) || !(lgPA > 0)) return null;
+    return this._result("k_rate", opponent, oppK / oppPA, lgK / lgPA, games.size);
+  }
+
+  // Per-game totals allowed to one position group (sum over that group's players in each game)
+  positionAllowed(market, opponent, group) {
+    const perGame = new Map(); // `${opp}|${game}` → { opp, total }
+    for (const r of this.playerRows) {
+      if (positionGroup(r?.Position) !== group) continue;
+      const mins = num(r?.Minutes);
+      if (Number.isFinite(mins) && mins < this.params.minMinutes) continue;
+      const v = market.value(r);
+      if (!Number.isFinite(v)) continue;
+      const opp = String(r.Opponent).toUpperCase();
+      const k = `${opp}|${gameKey(r)}`;
+      const g = perGame.get(k) || { opp, total: 0 };
+      g.total += v;
+      perGame.set(k, g);
+    }
+    const tally = new Tally();
+    for (const g of perGame.values()) tally.add(g.opp, g.total);
+    const t = tally.get(opponent);
+    if (!t || !tally.league.n) return null;
+    return this._result(`position:${group}`, opponent, t.sum / t.n, tally.league.sum / tally.league.n, t.n);
+  }
+
+  // Team totals allowed per game: rows where Opponent = X are X's opponents' output
+  teamAllowed(market, opponent) {
+    const tally = new Tally();
+    for (const r of this.teamRows) {
+      const v = market.value(r);
+      if (Number.isFinite(v)) tally.add(String(r.Opponent).toUpperCase(), v);
+    }
+    const t = tally.get(opponent);
+    if (!t || !tally.league.n) return null;
+    return this._result("team", opponent, t.sum / t.n, tally.league.sum / tally.league.n, t.n);
+  }
+}
@@ -0,0 +1,115 @@
+// lib/models/minutes.js
+// Minutes projection for basketball props. Recent minutes (same starter/bench role when there
+// are enough games) blended with the season average, then adjusted for blowout risk from the
+// game spread and for the second night of a back-to-back. A user override replaces the model.
+// factor = projected / baseline minutes, where baseline is the blend behind the per-game μ,
+// so μ × factor is the per-minute rate times projected minutes.
+import { StatisticalModels } from "../statisticalModels.js";
+import { teamOddsRow } from "../odds/sharpSignal.js";
+
+// marginSigma: final-margin spread; blowoutMargin: margin where benches empty;
+// starterCut / benchGain: share of minutes lost / gained in a blowout; b2b: multiplier on no rest
+export const MINUTES_PARAMS = {
+  NBA:  { regulation: 48, marginSigma: 12.0, blowoutMargin: 15, starterCut: 0.20, benchGain: 0.15, b2b: 0.96 },
+  WNBA: { regulation: 40, marginSigma: 10.5, blowoutMargin: 13, starterCut: 0.20, benchGain: 0.15, b2b: 0.97 },
+};
+
+const RECENT_WEIGHT = 0.6;   // same recent/season blend as μ
+const PROJECT_WEIGHT = 0.7;  // projection leans harder on recent minutes
+const DECAY = 0.85;          // per-game weight decay, most recent first
+const MIN_ROLE_GAMES = 3;    // games needed to project from one role only
+const MIN_BASELINE = 5;      // below this the per-minute rate is too noisy to scale
+
+const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+
+function decayed(xs) {
+  let num = 0, den = 0;
+  xs.forEach((x, i) => { const w = Math.pow(DECAY, i); num += w * x; den += w; });
+  return den > 0 ? num / den : NaN;
+}
+
+function prevDay(dateStr) {
+  const d = new Date(`${dateStr}T12:00:00`);
+  d.setDate(d.getDate() - 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Minutes played from a box-score row (Minutes + Seconds when the feed splits them)
+export function minutesOf(row) {
+  const m = Number(row?.Minutes);
+  if (row?.Minutes == null || !Number.isFinite(m)) return NaN;
+  const s = Number(row?.Seconds);
+  return m + (Number.isFinite(s) ? s / 60 : 0);
+}
+
+// Team's consensus point spread (negative = favored) from pregame odds rows
+export function teamSpread(oddsRows, team, dateStr) {
+  const g = teamOddsRow(oddsRows, team, dateStr);
+  const lines = (Array.isArray(g?.PregameOdds) ? g.PregameOdds : [])
+    .map(b => Number(b?.HomePointSpread))
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+  if (!lines.length) return null;
+  const mid = Math.floor(lines.length / 2);
+  const home = lines.length % 2 ? lines[mid] : (lines[mid - 1] + lines[mid]) / 2;
+  return g.HomeTeam === String(team).toUpperCase() ? home : -home;
+}
+
+// P(final margin beyond the blowout margin either way), margin ~ N(-spread, sigma)
+function blowoutProbability(spread, p) {
+  const mu = -spread;
+  return StatisticalModels.calculateNormalTail(mu, p.marginSigma, p.blowoutMargin) +
+    (1 - StatisticalModels.calculateNormalTail(mu, p.marginSigma, -p.blowoutMargin));
+}
+
+// games: [{ minutes, started, date }] most recent first; seasonMinutes: per game
+// → { minutes, baseline, factor, source, starter, blowoutRisk, backToBack, spread, games, out? } | null
+export function projectMinutes(sport, { games = [], seasonMinutes, dateStr, spread, override, starter } = {}) {
+  const p = MINUTES_PARAMS[String(sport || "").toUpperCase()];
+  if (!p) return null;
+  const played = games.filter(g => Number.isFinite(g?.minutes));
+  const recentMinutes = played.map(g => g.minutes);
+  const season = Number(seasonMinutes);
+
+  // baseline: the minutes behind μ
+  let baseline = NaN;
+  if (recentMinutes.length && Number.isFinite(season)) baseline = RECENT_WEIGHT * mean(recentMinutes) + (1 - RECENT_WEIGHT) * season;
+  else if (recentMinutes.length) baseline = mean(recentMinutes);
+  else if (Number.isFinite(season)) baseline = season;
+  if (!(baseline >= MIN_BASELINE)) return null;
+
+  const role = starter ?? (played[0]?.started == null ? null : Boolean(Number(played[0].started)));
+  const sameRole = role == null ? [] : played.filter(g => g.started != null && Boolean(Number(g.started)) === role);
+  const pool = (sameRole.length >= MIN_ROLE_GAMES ? sameRole : played).map(g => g.minutes);
+
+  const base = {
+    baseline, source: "model", starter: role, spread: Number.isFinite(spread) ? spread : null,
+    blowoutRisk: 0, backToBack: false, games: played.length,
+  };
+
+  // an override of zero (or less) means the player isn't expected to play: out = true, and the
+  // engine passes instead of scaling μ to nothing
+  const userMinutes = Number(override);
+  if (override != null && override !== "" && Number.isFinite(userMinutes)) {
+    if (userMinutes <= 0) return { ...base, minutes: 0, factor: 0, source: "override", out: true };
+    return { ...base, minutes: userMinutes, factor: userMinutes / baseline, source: "override" };
+  }
+
+  let minutes = pool.length
+    ? (Number.isFinite(season) ? PROJECT_WEIGHT * decayed(pool) + (1 - PROJECT_WEIGHT) * season : decayed(pool))
+    : season;
+
+  // extra blowout chance over a pick'em: starters sit late, the bench plays more
+  if (Number.isFinite(spread)) {
+    base.blowoutRisk = Math.max(0, blowoutProbability(spread, p) - blowoutProbability(0, p));
+    minutes *= role === false ? 1 + base.blowoutRisk * p.benchGain : 1 - base.blowoutRisk * p.starterCut;
+  }
+
+  if (dateStr && played[0]?.date === prevDay(dateStr)) {
+    base.backToBack = true;
+    minutes *= p.b2b;
+  }
+
+  minutes = Math.max(0, Math.min(p.regulation, minutes));
+  return { ...base, minutes, factor: minutes / baseline };
+}
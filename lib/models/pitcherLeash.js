@@ -0,0 +1,154 @@
+// lib/models/pitcherLeash.js
+// Strikeout projection for MLB pitchers: innings expected × batters faced per inning × K per
+// batter faced. Innings come from recent outs in the same role, capped by a pitch limit (at the
+// pitcher's recent pitches per out) and cut on short rest. K/BF blends recent and season rates,
+// each shrunk toward the league. Openers and bulk relievers are told apart from recent usage.
+import { PROP_MARKETS } from "../markets/propMarkets.js";
+
+// kShrinkBF: batters faced that earn half weight against the league K rate
+export const LEASH_PARAMS = {
+  leagueKPerBF: 0.225,
+  leagueBFPerOut: 1.42,   // ≈ 4.25 batters per inning
+  kShrinkBF: 60,
+  recentWeight: 0.6,      // recent vs season K/BF when both exist
+  minOutsForRate: 15,     // recent outs needed before BF/out moves off season/league
+  decay: 0.8,             // per-appearance weight, most recent first
+  openerOuts: 6,          // starts of 2 IP or less mark an opener
+  bulkOuts: 9,            // relief outings of 3 IP or more mark a bulk reliever
+  normalRestDays: 4,      // fewer days since the last start is short rest
+  shortRestFactor: 0.85,
+};
+
+const MLB = PROP_MARKETS.MLB;
+
+const num = (v) => {
+  const n = Number(v);
+  return v === null || v === undefined || v === "" || !Number.isFinite(n) ? NaN : n;
+};
+
+function decayed(xs, decay) {
+  let s = 0, w = 0;
+  xs.forEach((x, i) => { const wi = Math.pow(decay, i); s += wi * x; w += wi; });
+  return w > 0 ? s / w : NaN;
+}
+
+const daysBetween = (a, b) => Math.round((new Date(`${b}T12:00:00`) - new Date(`${a}T12:00:00`)) / 86400000);
+
+// Batters faced from the feed, else outs + hits + walks + hit batters
+function battersFaced(row, outs) {
+  const bf = num(row?.PitchingBattersFaced ?? row?.PitchingPlateAppearances);
+  if (Number.isFinite(bf)) return bf;
+  const parts = [MLB.hits_allowed.value(row), MLB.walks_allowed.value(row), num(row?.PitchingHitByPitch)];
+  return Number.isFinite(outs) && Number.isFinite(parts[0]) && Number.isFinite(parts[1])
+    ? outs + parts[0] + parts[1] + (Number.isFinite(parts[2]) ? parts[2] : 0)
+    : NaN;
+}
+
+function appearance({ row, date }) {
+  const outs = MLB.outs.value(row);
+  const started = num(row?.Started ?? row?.GamesStarted ?? row?.PitchingGamesStarted);
+  return {
+    date,
+    started: Number.isFinite(started) ? started > 0 : null,
+    outs,
+    bf: battersFaced(row, outs),
+    k: MLB.strikeouts.value(row),
+    pitches: num(row?.PitchesThrown ?? row?.PitchingPitchesThrown),
+  };
+}
+
+// starter | opener | bulk | reliever from the most recent appearance and its peers
+function detectRole(apps, p) {
+  const latest = apps[0];
+  if (latest.started !== false) {
+    const starts = apps.filter(a => a.started !== false);
+    const short = starts.filter(a => a.outs <= p.openerOuts).length;
+    return short >= 2 && short * 2 > starts.length ? "opener" : "starter";
+  }
+  const relief = apps.filter(a => a.started === false).slice(0, 3);
+  const long = relief.filter(a => a.outs >= p.bulkOuts).length;
+  return long * 2 > relief.length ? "bulk" : "reliever";
+}
+
+function shrunkRate(k, bf, p) {
+  if (!(bf > 0)) return NaN;
+  return (k + p.leagueKPerBF * p.kShrinkBF) / (bf + p.kShrinkBF);
+}
+
+// recents: [{ row, date }] newest first (appearances only); seasonRow: season totals
+// → { mu, role, outs, innings, pitches, pitchesPerOut, pitchLimit, limited, shortRest, restDays,
+//     bfPerInning, kPerBF, appearances, flags, label } | null
+export function projectStrikeouts({ recents = [], seasonRow, dateStr, pitchLimit } = {}, params = {}) {
+  const p = { ...LEASH_PARAMS, ...params };
+  const apps = recents.map(appearance).filter(a => a.outs > 0);
+  if (!apps.length) return null;
+
+  const role = detectRole(apps, p);
+  const pool = apps.filter(a =>
+    role === "starter" || role === "opener" ? a.started !== false
+      : role === "bulk" ? a.started === false && a.outs >= p.bulkOuts
+        : a.started === false);
+  const base = pool.length ? pool : apps;
+
+  // innings expected: recent outs in this role, then the pitch limit and rest
+  let outs = decayed(base.map(a => a.outs), p.decay);
+  const counted = base.filter(a => a.pitches > 0);
+  const pitchesPerOut = counted.length
+    ? counted.reduce((s, a) => s + a.pitches, 0) / counted.reduce((s, a) => s + a.outs, 0)
+    : NaN;
+  let pitches = counted.length ? decayed(counted.map(a => a.pitches), p.decay) : NaN;
+
+  const limit = num(pitchLimit);
+  let limited = false;
+  if (limit > 0 && Number.isFinite(pitchesPerOut) && limit / pitchesPerOut < outs) {
+    outs = limit / pitchesPerOut;
+    pitches = limit;
+    limited = true;
+  }
+
+  const lastStart = apps.find(a => a.started !== false);
+  const restDays = dateStr && lastStart?.date ? daysBetween(lastStart.date, dateStr) : null;
+  const shortRest = role === "starter" && restDays != null && restDays > 0 && restDays < p.normalRestDays;
+  if (shortRest) {
+    outs *= p.shortRestFactor;
+    if (Number.isFinite(pitches)) pitches *= p.shortRestFactor;
+  }
+
+  // batters faced per out: recent when there's enough of it, else season, else league
+  const sum = (xs, f) => xs.reduce((s, a) => s + (Number.isFinite(a[f]) ? a[f] : 0), 0);
+  const withBF = apps.filter(a => Number.isFinite(a.bf));
+  const recentOuts = sum(withBF, "outs"), recentBF = sum(withBF, "bf");
+  const seasonOuts = seasonRow ? MLB.outs.value(seasonRow) : NaN;
+  const seasonBF = seasonRow ? battersFaced(seasonRow, seasonOuts) : NaN;
+  const bfPerOut = recentOuts >= p.minOutsForRate ? recentBF / recentOuts
+    : seasonOuts > 0 && seasonBF > 0 ? seasonBF / seasonOuts
+      : p.leagueBFPerOut;
+
+  // K per batter faced: recent and season, each shrunk toward the league
+  const withK = withBF.filter(a => Number.isFinite(a.k));
+  const recentK = shrunkRate(sum(withK, "k"), sum(withK, "bf"), p);
+  const seasonK = seasonRow ? shrunkRate(num(MLB.strikeouts.seasonValue(seasonRow)), seasonBF, p) : NaN;
+  const kPerBF = Number.isFinite(recentK) && Number.isFinite(seasonK) ? p.recentWeight * recentK + (1 - p.recentWeight) * seasonK
+    : Number.isFinite(recentK) ? recentK
+      : Number.isFinite(seasonK) ? seasonK
+        : p.leagueKPerBF;
+
+  const mu = outs * bfPerOut * kPerBF;
+  if (!Number.isFinite(mu)) return null;
+
+  const flags = [
+    role === "opener" ? "OPENER" : null,
+    role === "bulk" ? "BULK_RELIEVER" : null,
+    limited ? "PITCH_LIMIT" : null,
+    shortRest ? "SHORT_REST" : null,
+  ].filter(Boolean);
+  const notes = [role, limited ? `${limit}-pitch limit` : null, shortRest ? `${restDays} days rest` : null].filter(Boolean);
+  const pitchNote = Number.isFinite(pitches) ? `, ~${Math.round(pitches)} pitches` : "";
+  return {
+    mu, role, outs, innings: outs / 3, pitches: Number.isFinite(pitches) ? pitches : null,
+    pitchesPerOut: Number.isFinite(pitchesPerOut) ? pitchesPerOut : null,
+    pitchLimit: limit > 0 ? limit : null, limited, shortRest, restDays,
+    bfPerInning: bfPerOut * 3, kPerBF, appearances: base.length, flags,
+    label: `Leash ${(outs / 3).toFixed(1)} IP (${notes.join(", ")}${pitchNote}) × ${(bfPerOut * 3).toFixed(2)} BF/IP × ${(kPerBF * 100).toFixed(1)}% K/BF = ${mu.toFixed(2)} K`,
+  };
+}
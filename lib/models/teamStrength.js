@@ -0,0 +1,154 @@
+// lib/models/teamStrength.js
+// Elo + scoring-rate team model rebuilt from past final scores.
+// Produces home-win probability, expected margin and expected total per game,
+// with home advantage and rest-day adjustments tuned per sport.
+
+// K: update speed; hfa: home edge (Elo); perPoint: Elo per point/run/goal of margin;
+// b2b / restBonus: Elo applied for 0 days rest / 3+ days rest (NFL: bye week).
+export const TEAM_MODEL_PARAMS = {
+  NBA:  { K: 20, hfa: 100, perPoint: 28, b2b: -46, restBonus: 15, carryOver: 0.75, decay: 0.92 },
+  WNBA: { K: 20, hfa: 80,  perPoint: 30, b2b: -40, restBonus: 12, carryOver: 0.70, decay: 0.90 },
+  NFL:  { K: 20, hfa: 48,  perPoint: 25, b2b: 0,   restBonus: 25, carryOver: 0.67, decay: 0.85, restLong: 13 },
+  MLB:  { K: 4,  hfa: 24,  perPoint: 90, b2b: 0,   restBonus: 0,  carryOver: 0.67, decay: 0.97 },
+  NHL:  { K: 6,  hfa: 33,  perPoint: 110, b2b: -25, restBonus: 5, carryOver: 0.70, decay: 0.95 },
+};
+
+const BASE_ELO = 1500;
+
+function gameDate(g) {
+  const raw = g?.Day ?? g?.Date ?? g?.DateTime ?? null;
+  const d = raw ? new Date(raw) : null;
+  return d && Number.isFinite(d.getTime()) ? d : null;
+}
+
+function gameScores(g) {
+  const h = Number(g?.HomeTeamScore ?? g?.HomeTeamRuns ?? g?.HomeScore);
+  const a = Number(g?.AwayTeamScore ?? g?.AwayTeamRuns ?? g?.AwayScore);
+  return Number.isFinite(h) && Number.isFinite(a) ? [h, a] : null;
+}
+
+function isFinal(g) {
+  const st = String(g?.Status ?? "").toLowerCase();
+  if (g?.IsClosed === true) return true;
+  return st.startsWith("final") || st.startsWith("f/");
+}
+
+const daysBetween = (a, b) => Math.floor((b - a) / 86400000);
+
+export class TeamStrengthModel {
+  constructor(sport, params = {}) {
+    this.sport = String(sport || "").toUpperCase();
+    this.params = { ...(TEAM_MODEL_PARAMS[this.sport] || TEAM_MODEL_PARAMS.NBA), ...params };
+    this.teams = new Map(); // key -> { elo, ptsFor, ptsAgainst, games, lastDate }
+    this.leagueAvg = null;  // points/runs per team-game
+    this.gamesRated = 0;
+  }
+
+  _team(key) {
+    let t = this.teams.get(key);
+    if (!t) {
+      t = { elo: BASE_ELO, ptsFor: null, ptsAgainst: null, games: 0, lastDate: null };
+      this.teams.set(key, t);
+    }
+    return t;
+  }
+
+  // Regress every rating toward the mean between seasons
+  newSeason() {
+    const { carryOver } = this.params;
+    for (const t of this.teams.values()) {
+      t.elo = BASE_ELO + carryOver * (t.elo - BASE_ELO);
+      t.lastDate = null;
+    }
+  }
+
+  _restAdj(team, date) {
+    if (!team.lastDate || !date) return 0;
+    const rest = daysBetween(team.lastDate, date) - 1;
+    if (rest <= 0) return this.params.b2b;
+    if (rest >= (this.params.restLong ?? 2)) return this.params.restBonus;
+    return 0;
+  }
+
+  // Home-perspective Elo difference including home edge and rest
+  _eloDiff(home, away, date, neutral = false) {
+    return (home.elo + this._restAdj(home, date)) -
+           (away.elo + this._restAdj(away, date)) +
+           (neutral ? 0 : this.params.hfa);
+  }
+
+  // Feed final games (any order); only games strictly before `before` are used.
+  fit(games, before = null) {
+    const cutoff = before ? new Date(before) : null;
+    const rows = (Array.isArray(games) ? games : [])
+      .map(g => ({ g, d: gameDate(g), s: gameScores(g) }))
+      .filter(x => x.d && x.s && isFinal(x.g) && (!cutoff || x.d < cutoff))
+      .sort((a, b) => a.d - b.d);
+
+    const { K, decay } = this.params;
+    for (const { g, d, s } of rows) {
+      const hKey = String(g.HomeTeam || ""), aKey = String(g.AwayTeam || "");
+      if (!hKey || !aKey) continue;
+      const home = this._team(hKey), away = this._team(aKey);
+      const [hs, as] = s;
+
+      const diff = this._eloDiff(home, away, d, Boolean(g?.NeutralVenue));
+      const expHome = 1 / (1 + Math.pow(10, -diff / 400));
+      const result = hs > as ? 1 : hs < as ? 0 : 0.5;
+      const mov = Math.abs(hs - as);
+      // margin-of-victory multiplier, damped when the favourite wins (autocorrelation guard)
+      const winnerDiff = result === 1 ? diff : -diff;
+      const movMult = Math.log(mov + 1) * (2.2 / (winnerDiff * 0.001 + 2.2));
+      const delta = K * Math.max(0.5, movMult) * (result - expHome);
+      home.elo += delta;
+      away.elo -= delta;
+
+      // exponentially weighted scoring rates
+      home.ptsFor = home.ptsFor == null ? hs : decay * home.ptsFor + (1 - decay) * hs;
+      home.ptsAgainst = home.ptsAgainst == null ? as : decay * home.ptsAgainst + (1 - decay) * as;
+      away.ptsFor = away.ptsFor == null ? as : decay * away.ptsFor + (1 - decay) * as;
+      away.ptsAgainst = away.ptsAgainst == null ? hs : decay * away.ptsAgainst + (1 - decay) * hs;
+      this.leagueAvg = this.leagueAvg == null ? (hs + as) / 2 : 0.99 * this.leagueAvg + 0.01 * (hs + as) / 2;
+
+      home.games++; away.games++;
+      home.lastDate = d; away.lastDate = d;
+      this.gamesRated++;
+    }
+    return this;
+  }
+
+  hasTeam(key) { return this.teams.has(String(key || "")); }
+
+  predict({ home, away, date = null, neutral = false }) {
+    const h = this.teams.get(String(home || ""));
+    const a = this.teams.get(String(away || ""));
+    if (!h || !a) return null;
+    const d = date ? new Date(date) : null;
+
+    const restHome = h.lastDate && d ? Math.max(0, daysBetween(h.lastDate, d) - 1) : null;
+    const restAway = a.lastDate && d ? Math.max(0, daysBetween(a.lastDate, d) - 1) : null;
+    const diff = this._eloDiff(h, a, d, neutral);
+    const homeWinProb = 1 / (1 + Math.pow(10, -diff / 400));
+    const expectedMargin = diff / this.params.perPoint;
+
+    let expectedTotal = null;
+    if (h.ptsFor != null && a.ptsFor != null) {
+      const homePts = (h.ptsFor + a.ptsAgainst) / 2;
+      const awayPts = (a.ptsFor + h.ptsAgainst) / 2;
+      expectedTotal = homePts + awayPts;
+    }
+
+    return {
+      homeWinProb,
+      expectedMargin,
+      expectedTotal,
+      homeElo: h.elo,
+      awayElo: a.elo,
+      eloDiff: diff,
+      restHome,
+      restAway,
+      gamesHome: h.games,
+      gamesAway: a.games,
+    };
+  }
+}
@@ -0,0 +1,40 @@
+// lib/odds/lineShopping.js
+// Cross-book price comparison: consensus no-vig probability, best price and outlier books.
+// Quotes are side-specific: { book, line, price (American), prob } where `prob` is that
+// book's no-vig probability for the side at the *requested* line.
+import { americanToDecimal } from "./oddsMath.js";
+
+export const OUTLIER_TOLERANCE = 0.03; // |book p - consensus p| that marks a book as off-market
+
+export function median(values) {
+  const xs = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!xs.length) return null;
+  const mid = Math.floor(xs.length / 2);
+  return xs.length % 2 ? xs[mid] : (xs[mid - 1] + xs[mid]) / 2;
+}
+
+// `fairProbAt(quote)` → consensus win probability at the quote's own line (defaults to consensus).
+export function shopLines(quotes, { fairProbAt = null, tolerance = OUTLIER_TOLERANCE } = {}) {
+  const list = (Array.isArray(quotes) ? quotes : []).filter(q => Number.isFinite(q?.prob));
+  const consensusProb = median(list.map(q => q.prob));
+  if (consensusProb == null) return { consensusProb: null, books: 0, best: null, outliers: [], quotes: [] };
+
+  const scored = list.map(q => {
+    const decimal = americanToDecimal(q.price);
+    const fair = typeof fairProbAt === "function" ? fairProbAt(q) : consensusProb;
+    const ev = decimal != null && Number.isFinite(fair) ? fair * decimal - 1 : null;
+    return { ...q, decimal, fairProb: fair, ev };
+  });
+
+  let best = null;
+  for (const q of scored) {
+    if (q.ev == null) continue;
+    if (!best || q.ev > best.ev || (q.ev === best.ev && q.decimal > best.decimal)) best = q;
+  }
+
+  const outliers = scored
+    .map(q => ({ book: q.book, line: q.line, price: q.price, prob: q.prob, deviation: q.prob - consensusProb }))
+    .filter(o => Math.abs(o.deviation) > tolerance);
+
+  return { consensusProb, books: scored.length, best, outliers, quotes: scored };
+}
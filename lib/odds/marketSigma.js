@@ -0,0 +1,6 @@
+// lib/odds/marketSigma.js
+// Standard deviation of final margin / combined score by sport (points, runs), shared by the
+// game-line engine and the odds history's implied means.
+
+export const MARGIN_SIGMA = { NBA: 12.0, WNBA: 10.5, NFL: 13.5, MLB: 4.3, NHL: 2.4 };
+export const TOTAL_SIGMA  = { NBA: 18.0, WNBA: 15.0, NFL: 13.5, MLB: 4.4, NHL: 2.3 };
@@ -0,0 +1,185 @@
+// lib/odds/oddsHistory.js
+// File-backed history of game-line and player-prop prices, one snapshot per book per poll, and the
+// recorder that fills it (scripts/record-odds.js). Each snapshot carries the book's implied mean
+// at its own line (home margin for moneylines and spreads, game total, or the prop's stat), so a
+// moved number and a moved price read on one scale; ./sharpSignal.js turns a series into a signal.
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { withFileLock, writeFileAtomic } from "../storage/jsonFile.js";
+import { StatisticalModels } from "../statisticalModels.js";
+import { devig } from "./oddsMath.js";
+import { MARGIN_SIGMA, TOTAL_SIGMA } from "./marketSigma.js";
+import { gameSeriesKey, oddsGameDate, propSeriesKey } from "./sharpSignal.js";
+import { parsePropMarket } from "../markets/propMarkets.js";
+import { getSportAdapter } from "../sports/sportAdapters.js";
+
+export const DEFAULT_ODDS_HISTORY_PATH = path.join(process.cwd(), ".data", "odds-history.json");
+
+const RETAIN_DAYS = 14; // series whose game date is older than this are dropped on write
+
+function fmtLocalDate(d) {
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+
+// Number or null: prices and lines must survive a JSON round trip for sameQuote
+const price = (v) => {
+  const n = Number(v);
+  return v === null || v === undefined || v === "" || !Number.isFinite(n) ? null : n;
+};
+
+const impliedMean = (line, sigma, prob) => line + sigma * StatisticalModels.normalQuantile(prob);
+
+// Share of bets on the home / over side per market from a BettingSplitsByGameId record
+export function ticketShares(split) {
+  const out = {};
+  for (const m of Array.isArray(split?.BettingMarketSplits) ? split.BettingMarketSplits : []) {
+    const type = String(m?.BettingMarketType || "");
+    const market = /money/i.test(type) ? "MONEYLINE" : /spread/i.test(type) ? "SPREAD" : /total/i.test(type) ? "TOTAL" : null;
+    if (!market) continue;
+    const pct = (re) => Number((m?.BettingBetSplits || []).find(s => re.test(String(s?.BettingOutcomeType || "")))?.BetPercentage);
+    const yes = pct(/^(home|over)$/i), no = pct(/^(away|under)$/i);
+    if (Number.isFinite(yes) && Number.isFinite(no) && yes + no > 0) out[market] = yes / (yes + no);
+  }
+  return out;
+}
+
+// GameOdds rows → snapshots for the moneyline, spread and total of every book
+// tickets: Map gameId → ticketShares()
+export function gameSnapshots(sport, rows, { ts = Date.now(), dateStr = null, tickets = new Map() } = {}) {
+  const marginSigma = MARGIN_SIGMA[sport] ?? 12.0;
+  const totalSigma = TOTAL_SIGMA[sport] ?? 15.0;
+  const out = [];
+  for (const g of Array.isArray(rows) ? rows : []) {
+    const home = g?.HomeTeam ?? g?.HomeTeamName;
+    const away = g?.AwayTeam ?? g?.AwayTeamName;
+    const date = oddsGameDate(g, dateStr);
+    if (!home || !away || !date) continue;
+    const shares = tickets.get(g?.GameId ?? g?.GameID) || {};
+    const snap = (market, fields) => {
+      const s = { key: gameSeriesKey(sport, date, away, home, market), ts, ...fields };
+      if (Number.isFinite(shares[market])) s.tickets = shares[market];
+      out.push(s);
+    };
+    const books = Array.isArray(g?.PregameOdds) ? g.PregameOdds : Array.isArray(g?.Odds) ? g.Odds : [g];
+    for (const b of books) {
+      const book = b?.Sportsbook ?? b?.SportsbookDisplayName ?? "book";
+      if (/consensus/i.test(book)) continue;
+
+      const mlHome = price(b?.HomeMoneyLine), mlAway = price(b?.AwayMoneyLine);
+      if (mlHome != null && mlAway != null) {
+        const [pHome] = devig(mlHome, mlAway);
+        snap("MONEYLINE", { book, line: null, over: mlHome, under: mlAway, prob: pHome, mu: impliedMean(0, marginSigma, pHome), sigma: marginSigma });
+      }
+      const hs = price(b?.HomePointSpread);
+      if (hs != null) {
+        const hp = price(b?.HomePointSpreadPayout), ap = price(b?.AwayPointSpreadPayout);
+        const [pCover] = devig(hp, ap);
+        snap("SPREAD", { book, line: hs, over: hp, under: ap, prob: pCover, mu: impliedMean(-hs, marginSigma, pCover), sigma: marginSigma });
+      }
+      const total = price(b?.OverUnder);
+      if (total != null) {
+        const op = price(b?.OverPayout), up = price(b?.UnderPayout);
+        const [pOver] = devig(op, up);
+        snap("TOTAL", { book, line: total, over: op, under: up, prob: pOver, mu: impliedMean(total, totalSigma, pOver), sigma: totalSigma });
+      }
+    }
+  }
+  return out;
+}
+
+// PlayerProps rows ("Total Points" / OverUnder / payouts) → snapshots keyed by player and stat;
+// the spread at the line is count-like (√line, floored at the market's variance floor)
+export function propSnapshots(sport, rows, { ts = Date.now(), dateStr = null } = {}) {
+  const out = [];
+  for (const r of Array.isArray(rows) ? rows : []) {
+    const line = price(r?.OverUnder);
+    const date = oddsGameDate(r, dateStr);
+    if (r?.PlayerID == null || line == null || !date) continue;
+    const market = parsePropMarket(sport, `${String(r?.Description || "").replace(/^total\s+/i, "")} ${line}`);
+    if (!market) continue;
+    const op = price(r?.OverPayout), up = price(r?.UnderPayout);
+    const [pOver] = devig(op, up);
+    const sigma = Math.sqrt(Math.max(market.varianceFloor ?? 1, line));
+    out.push({
+      key: propSeriesKey(sport, date, r.PlayerID, market.stat), ts,
+      book: r?.Sportsbook ?? r?.SportsbookDisplayName ?? "consensus",
+      line, over: op, under: up, prob: pOver, mu: impliedMean(line, sigma, pOver), sigma,
+    });
+  }
+  return out;
+}
+
+const sameQuote = (a, b) => a && a.line === b.line && a.over === b.over && a.under === b.under && a.tickets === b.tickets;
+
+export class OddsHistory {
+  constructor(opts = {}) {
+    this.path = opts.path || process.env.ODDS_HISTORY_PATH || DEFAULT_ODDS_HISTORY_PATH;
+    this.retainDays = opts.retainDays ?? RETAIN_DAYS;
+  }
+
+  async _read() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.path, "utf8"));
+      return data?.series && typeof data.series === "object" ? data : { series: {} };
+    } catch (e) {
+      if (e?.code === "ENOENT") return { series: {} };
+      throw e;
+    }
+  }
+
+  async _write(data) {
+    await writeFileAtomic(this.path, JSON.stringify(data));
+  }
+
+  // Appends snapshots whose quote changed since the book's last one → number appended
+  record(snapshots, now = new Date()) {
+    return withFileLock(this.path, async () => {
+      const data = await this._read();
+      let added = 0;
+      for (const { key, ...snap } of snapshots) {
+        const series = data.series[key] || (data.series[key] = []);
+        const last = series.findLast(s => s.book === snap.book);
+        if (sameQuote(last, snap)) continue;
+        series.push(snap);
+        added++;
+      }
+      const cutoff = new Date(now);
+      cutoff.setDate(cutoff.getDate() - this.retainDays);
+      const oldest = fmtLocalDate(cutoff);
+      for (const key of Object.keys(data.series)) {
+        if (key.split(":")[1] < oldest) delete data.series[key];
+      }
+      await this._write(data);
+      return added;
+    });
+  }
+
+  async series(key) {
+    const { series } = await this._read();
+    return Array.isArray(series[key]) ? series[key] : [];
+  }
+}
+
+// One poll: game odds (with public splits) and prop lines for the slate on dateStr
+// → { games, props, recorded }
+export async function recordOdds(history, client, sport, { dateStr = fmtLocalDate(new Date()), splits = true, ts = Date.now() } = {}) {
+  const adapter = getSportAdapter(sport);
+  if (!adapter) throw new Error(`Unsupported sport ${sport}`);
+  const ctx = { client };
+  const games = await adapter.fetchGameOdds(ctx, dateStr);
+  const tickets = new Map();
+  if (splits) {
+    for (const g of games) {
+      const id = g?.GameId ?? g?.GameID;
+      if (id == null) continue;
+      const shares = ticketShares(await adapter.fetchBettingSplits(ctx, id));
+      if (Object.keys(shares).length) tickets.set(id, shares);
+    }
+  }
+  const props = propSnapshots(adapter.sport, await adapter.fetchPropOdds(ctx, dateStr), { ts, dateStr });
+  const recorded = await history.record([...gameSnapshots(adapter.sport, games, { ts, dateStr, tickets }), ...props]);
+  return { games: games.length, props: props.length, recorded };
+}
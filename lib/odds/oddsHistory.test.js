@@ -0,0 +1,21 @@
+// lib/odds/oddsHistory.test.js — node --test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { OddsHistory } from "./oddsHistory.js";
+
+test("histories on one file don't lose concurrent records", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "odds-history-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "odds-history.json");
+  const a = new OddsHistory({ path: file, retainDays: 10000 });
+  const b = new OddsHistory({ path: file, retainDays: 10000 });
+  const snap = (i) => ({ key: `NBA:2025-01-25:${i}:PTS`, book: "DraftKings", ts: 1, line: 20.5, over: -110, under: -110, prob: 0.5, mu: 20.5, sigma: 4.5 });
+
+  const added = await Promise.all(Array.from({ length: 20 }, (_, i) => (i % 2 ? a : b).record([snap(i)])));
+
+  assert.deepEqual(added, Array(20).fill(1));
+  for (let i = 0; i < 20; i++) assert.equal((await a.series(`NBA:2025-01-25:${i}:PTS`)).length, 1);
+});
@@ -0,0 +1,29 @@
+// lib/odds/oddsMath.js
+// American/decimal price conversions and two-way de-vig shared by the engines.
+
+export function impliedProbFromMoneyline(ml) {
+  const n = Number(ml);
+  if (!Number.isFinite(n) || n === 0) return null;
+  if (n > 0) return 100 / (n + 100);
+  return Math.abs(n) / (Math.abs(n) + 100);
+}
+
+export function americanToDecimal(ml) {
+  const n = Number(ml);
+  if (!Number.isFinite(n) || n === 0) return null;
+  return n > 0 ? 1 + n / 100 : 1 + 100 / Math.abs(n);
+}
+
+export function decimalToAmerican(dec) {
+  const d = Number(dec);
+  if (!Number.isFinite(d) || d <= 1) return null;
+  return d >= 2 ? Math.round((d - 1) * 100) : Math.round(-100 / (d - 1));
+}
+
+// Two-way de-vig; missing prices are treated as a standard -110/-110 market
+export function devig(mlA, mlB) {
+  const a = impliedProbFromMoneyline(mlA) ?? impliedProbFromMoneyline(-110);
+  const b = impliedProbFromMoneyline(mlB) ?? impliedProbFromMoneyline(-110);
+  const norm = a + b;
+  return norm > 0 ? [a / norm, b / norm] : [0.5, 0.5];
+}
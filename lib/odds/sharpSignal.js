@@ -0,0 +1,141 @@
+// lib/odds/sharpSignal.js
+// Sharp-money read of a recorded price series (see ./oddsHistory.js): steam moves (several books
+// moving the same way within minutes), reverse line movement (the number moving against the side
+// most tickets are on) and the shift of the cross-book consensus since the first snapshot.
+// The signal is signed toward the over / home side and fed to the engines' fusion as
+// 0.5 + signal, so it stays within ±maxSignal.
+import { median } from "./lineShopping.js";
+
+export const SHARP_PARAMS = {
+  steamWindowMin: 30,     // books must move within this many minutes of each other
+  steamMinBooks: 3,
+  steamMinMove: 0.05,     // per-book move, in σ of the implied mean (0.6 pt on an NBA spread)
+  rlmTickets: 0.6,        // ticket share that makes a side "public"
+  rlmMinMove: 0.05,       // consensus move (σ) against the public side that counts as RLM
+  weights: { consensus: 2, steam: 0.5, rlm: 0.5 },
+  maxSignal: 0.25,
+};
+
+// Game date of an odds row (SportsDataIO Day / DateTime), else the fallback
+export function oddsGameDate(row, fallback = null) {
+  const d = String(row?.Day ?? row?.DateTime ?? "").slice(0, 10);
+  return /^\d{4}-\d{2}-\d{2}$/.test(d) ? d : fallback;
+}
+
+// The team's row in a slate of game odds rows, preferring the one dated dateStr
+export function teamOddsRow(rows, team, dateStr) {
+  const t = String(team || "").toUpperCase();
+  if (!t) return null;
+  const games = (Array.isArray(rows) ? rows : []).filter(g => g?.HomeTeam === t || g?.AwayTeam === t);
+  return games.find(g => String(g?.Day ?? g?.DateTime ?? "").startsWith(dateStr)) || games[0] || null;
+}
+
+// Series keys shared by the recorder and the engines
+// market: MONEYLINE | SPREAD | TOTAL; spreads and moneylines are read from the home side
+export function gameSeriesKey(sport, dateStr, away, home, market) {
+  return [sport, dateStr, `${away}@${home}`, market].map(x => String(x || "").toUpperCase()).join(":");
+}
+
+export function propSeriesKey(sport, dateStr, playerId, stat) {
+  return `${String(sport || "").toUpperCase()}:${dateStr}:${playerId}:${stat}`;
+}
+
+const minutes = (a, b) => (b - a) / 60000;
+const signed = (x, digits = 2) => `${x >= 0 ? "+" : "−"}${Math.abs(x).toFixed(digits)}`;
+
+// Per-book moves between consecutive snapshots, in σ: [{ book, ts, move }]
+function bookMoves(byBook) {
+  const out = [];
+  for (const [book, snaps] of byBook) {
+    for (let i = 1; i < snaps.length; i++) {
+      const prev = snaps[i - 1], cur = snaps[i];
+      const sigma = cur.sigma || prev.sigma;
+      if (!(sigma > 0) || !Number.isFinite(cur.mu) || !Number.isFinite(prev.mu)) continue;
+      out.push({ book, ts: cur.ts, move: (cur.mu - prev.mu) / sigma });
+    }
+  }
+  return out.sort((a, b) => a.ts - b.ts);
+}
+
+// Steam: steamMinBooks distinct books moving the same way within the window; moves closer than
+// the window to the previous steam in the same direction belong to it
+function detectSteam(moves, p) {
+  const big = moves.filter(m => Math.abs(m.move) >= p.steamMinMove);
+  const steam = [];
+  for (const m of big) {
+    const dir = Math.sign(m.move);
+    const books = new Set(big
+      .filter(x => Math.sign(x.move) === dir && x.ts <= m.ts && minutes(x.ts, m.ts) <= p.steamWindowMin)
+      .map(x => x.book));
+    if (books.size < p.steamMinBooks) continue;
+    const last = steam.findLast(s => s.direction === dir);
+    if (last && minutes(last.ts, m.ts) <= p.steamWindowMin) {
+      last.ts = m.ts;
+      for (const b of books) last.books.add(b);
+    } else {
+      steam.push({ direction: dir, ts: m.ts, books });
+    }
+  }
+  return steam.map(s => ({ direction: s.direction, at: new Date(s.ts).toISOString(), books: [...s.books] }));
+}
+
+// series: [{ book, ts, line, prob, mu, sigma, tickets? }] (see OddsHistory.series)
+// asOf: epoch ms, snapshots after it are ignored
+// → { signal, consensus: { open, now, move }, steam, rlm, books, snapshots, label } | null
+export function sharpSignal(series, { asOf = Infinity, params = {} } = {}) {
+  const p = { ...SHARP_PARAMS, ...params, weights: { ...SHARP_PARAMS.weights, ...(params.weights || {}) } };
+  const snaps = (Array.isArray(series) ? series : [])
+    .filter(s => Number.isFinite(s?.ts) && s.ts <= asOf && Number.isFinite(s.mu))
+    .sort((a, b) => a.ts - b.ts);
+  if (snaps.length < 2) return null;
+
+  const byBook = new Map();
+  for (const s of snaps) {
+    if (!byBook.has(s.book)) byBook.set(s.book, []);
+    byBook.get(s.book).push(s);
+  }
+  const first = [...byBook.values()].map(xs => xs[0]);
+  const latest = [...byBook.values()].map(xs => xs[xs.length - 1]);
+  const sigma = median(latest.map(s => s.sigma));
+  if (!(sigma > 0)) return null;
+
+  // consensus shift: median implied mean across books, first snapshot vs latest
+  const open = median(first.map(s => s.mu));
+  const now = median(latest.map(s => s.mu));
+  const move = (now - open) / sigma;
+
+  const steam = detectSteam(bookMoves(byBook), p);
+  const steamScore = Math.max(-1, Math.min(1, steam.reduce((s, x) => s + x.direction, 0)));
+
+  // reverse line movement: most tickets on one side, consensus moved toward the other
+  const tickets = median(latest.map(s => s.tickets).filter(Number.isFinite));
+  let rlm = null;
+  if (tickets != null && tickets >= p.rlmTickets && move <= -p.rlmMinMove) rlm = { direction: -1, tickets };
+  else if (tickets != null && tickets <= 1 - p.rlmTickets && move >= p.rlmMinMove) rlm = { direction: 1, tickets };
+
+  const raw = p.weights.consensus * move + p.weights.steam * steamScore + p.weights.rlm * (rlm?.direction ?? 0);
+  const signal = p.maxSignal * Math.tanh(raw);
+
+  const notes = [`consensus ${open.toFixed(2)} → ${now.toFixed(2)} (${signed(move)}σ)`];
+  if (steam.length) notes.push(`steam ${steam.map(s => `${s.direction > 0 ? "up" : "down"} ×${s.books.length} books`).join(", ")}`);
+  if (rlm) notes.push(`RLM vs ${Math.round((rlm.direction < 0 ? rlm.tickets : 1 - rlm.tickets) * 100)}% tickets`);
+  return {
+    signal,
+    consensus: { open, now, move },
+    steam,
+    rlm,
+    books: byBook.size,
+    snapshots: snaps.length,
+    label: `${notes.join("; ")} over ${byBook.size} books`,
+  };
+}
+
+// Steam / reverse line movement flags for a pick; sideSign is +1 when the pick is the over / home side
+export function sharpFlags(sharp, sideSign) {
+  if (!sharp) return [];
+  const last = sharp.steam[sharp.steam.length - 1];
+  return [
+    last ? (last.direction * sideSign > 0 ? "STEAM_WITH_PICK" : "STEAM_AGAINST_PICK") : null,
+    sharp.rlm ? "REVERSE_LINE_MOVE" : null,
+  ].filter(Boolean);
+}
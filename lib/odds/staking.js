@@ -0,0 +1,62 @@
+// lib/odds/staking.js
+// Expected value and fractional-Kelly staking at the offered decimal price.
+// Stakes are returned both as % of bankroll (what ResultCard shows) and in bankroll units.
+
+export const DEFAULT_STAKING = {
+  bankroll: 100,        // units
+  kellyFraction: 0.25,  // quarter Kelly
+  maxStakePct: 2.0,     // hard cap, % of bankroll
+};
+
+const num = (x) => (x === undefined || x === null || x === "" ? NaN : Number(x));
+
+// Env → constructor opts → per-request overrides (later wins)
+export function resolveStakingConfig(...overrides) {
+  const env = {
+    bankroll: num(process.env.BANKROLL),
+    kellyFraction: num(process.env.KELLY_FRACTION),
+    maxStakePct: num(process.env.MAX_STAKE_PCT),
+  };
+  const cfg = { ...DEFAULT_STAKING };
+  for (const src of [env, ...overrides]) {
+    if (!src) continue;
+    for (const k of Object.keys(DEFAULT_STAKING)) {
+      const v = num(src[k]);
+      if (Number.isFinite(v) && v >= 0) cfg[k] = v;
+    }
+  }
+  cfg.kellyFraction = Math.min(1, cfg.kellyFraction);
+  return cfg;
+}
+
+// prob = P(win); pushProb = P(stake returned). Lose probability q = 1 - p - push.
+
+// EV per 1 unit staked: p * (d - 1) - q
+export function expectedValue(prob, decimalOdds, pushProb = 0) {
+  const p = Number(prob), d = Number(decimalOdds), push = Number(pushProb) || 0;
+  if (!Number.isFinite(p) || !Number.isFinite(d) || d <= 1) return null;
+  return p * (d - 1) - Math.max(0, 1 - p - push);
+}
+
+// Full-Kelly fraction f* = (b p - q) / (b (p + q)), floored at 0 (pushes drop out of the bet)
+export function kellyFraction(prob, decimalOdds, pushProb = 0) {
+  const p = Number(prob), d = Number(decimalOdds), push = Number(pushProb) || 0;
+  if (!Number.isFinite(p) || !Number.isFinite(d) || d <= 1) return 0;
+  const b = d - 1;
+  const q = Math.max(0, 1 - p - push);
+  if (p + q <= 0) return 0;
+  return Math.max(0, (b * p - q) / (b * (p + q)));
+}
+
+export function kellyStake(prob, decimalOdds, config = DEFAULT_STAKING, pushProb = 0) {
+  const cfg = { ...DEFAULT_STAKING, ...config };
+  const full = kellyFraction(prob, decimalOdds, pushProb);
+  const pct = Math.min(cfg.maxStakePct, full * cfg.kellyFraction * 100);
+  const stakePct = Math.round(pct * 100) / 100;
+  return {
+    fullKelly: full,
+    stakePct,
+    stakeUnits: Math.round(cfg.bankroll * stakePct) / 100,
+    capped: full * cfg.kellyFraction * 100 > cfg.maxStakePct,
+  };
+}
@@ -0,0 +1,55 @@
+// lib/odds/staking.test.js — node --test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_STAKING, expectedValue, kellyFraction, kellyStake } from "./staking.js";
+
+const close = (a, b, tol = 1e-12, msg) => assert.ok(Math.abs(a - b) <= tol, msg ?? `${a} vs ${b}`);
+
+test("push = 0 matches the win/lose formulas", () => {
+  for (const p of [0.2, 0.45, 0.5, 0.55, 0.7]) {
+    for (const d of [1.5, 1.91, 2, 2.6, 4]) {
+      const b = d - 1;
+      close(expectedValue(p, d), p * b - (1 - p), 1e-12, `EV p=${p} d=${d}`);
+      close(expectedValue(p, d, 0), expectedValue(p, d));
+      close(kellyFraction(p, d), Math.max(0, (b * p - (1 - p)) / b), 1e-12, `Kelly p=${p} d=${d}`);
+      close(kellyFraction(p, d, 0), kellyFraction(p, d));
+    }
+  }
+});
+
+test("a push refunds the stake", () => {
+  // win .5, push .1, lose .4 at even money
+  close(expectedValue(0.5, 2, 0.1), 0.1);
+  close(kellyFraction(0.5, 2, 0.1), 0.1 / 0.9);
+  // win .45, push .1, lose .45 is a coin flip
+  close(expectedValue(0.45, 2, 0.1), 0);
+  assert.equal(kellyFraction(0.45, 2, 0.1), 0);
+});
+
+test("Kelly with a push is Kelly on the decided outcomes", () => {
+  const p = 0.48, push = 0.08, d = 2.1;
+  const decided = p / (1 - push);
+  close(kellyFraction(p, d, push), kellyFraction(decided, d));
+});
+
+test("bad prices bet nothing", () => {
+  assert.equal(expectedValue(0.6, 1), null);
+  assert.equal(expectedValue(0.6, "x"), null);
+  assert.equal(kellyFraction(0.6, 1), 0);
+  assert.equal(kellyFraction(0.3, 2), 0);
+  assert.equal(kellyFraction(0, 2, 1), 0);
+});
+
+test("kellyStake applies the fraction and the cap, and passes the push through", () => {
+  const small = kellyStake(0.52, 2, { ...DEFAULT_STAKING, maxStakePct: 100 });
+  close(small.fullKelly, 0.04);
+  assert.equal(small.stakePct, 1);
+  assert.equal(small.capped, false);
+
+  const big = kellyStake(0.6, 2);
+  assert.equal(big.stakePct, DEFAULT_STAKING.maxStakePct);
+  assert.equal(big.capped, true);
+
+  const withPush = kellyStake(0.5, 2, { ...DEFAULT_STAKING, maxStakePct: 100 }, 0.1);
+  close(withPush.fullKelly, kellyFraction(0.5, 2, 0.1));
+});
@@ -0,0 +1,86 @@
+// lib/players/availability.js
+// Injury / availability facts from the SportsDataIO injury report (InjuredPlayers) and player
+// news. The player's own status can force a PASS; key teammates who are out hand part of their
+// production to the remaining players, which raises the player's usage projection.
+
+// OUT / DOUBTFUL / QUESTIONABLE force a PASS on the player's own props
+export const BLOCKING_STATUSES = new Set(["OUT", "DOUBTFUL", "QUESTIONABLE"]);
+
+// keyShare: teammate's share of the team's per-game stat to count as "key";
+// maxBoost: cap on the usage multiplier
+export const USAGE_PARAMS = { keyShare: 0.08, maxBoost: 1.25 };
+
+// SportsDataIO InjuryStatus / Status text → OUT | DOUBTFUL | QUESTIONABLE | PROBABLE | null
+export function normalizeStatus(text) {
+  const s = String(text || "").toLowerCase();
+  if (!s || s === "scrambled" || s === "active" || s === "healthy") return null;
+  if (/\bout\b|injured reserve|\bir\b|inactive|suspend|physically unable|\bpup\b|non-football|\bnfi\b/.test(s)) return "OUT";
+  if (/doubtful/.test(s)) return "DOUBTFUL";
+  if (/questionable|day-to-day|day to day|\bdtd\b|game-time|gtd/.test(s)) return "QUESTIONABLE";
+  if (/probable/.test(s)) return "PROBABLE";
+  return null;
+}
+
+// One availability fact per injured row: { playerId, name, team, status, detail, updated, source }
+export function injuryFacts(rows, source) {
+  const out = [];
+  for (const r of Array.isArray(rows) ? rows : []) {
+    const status = normalizeStatus(r?.InjuryStatus ?? r?.Status);
+    if (!status || r?.PlayerID == null) continue;
+    out.push({
+      playerId: r.PlayerID,
+      name: r?.Name || [r?.FirstName, r?.LastName].filter(Boolean).join(" "),
+      team: r?.Team ? String(r.Team).toUpperCase() : null,
+      status,
+      detail: [r?.InjuryBodyPart, r?.InjuryNotes].filter(x => x && x !== "Scrambled").join(" — ") || null,
+      updated: r?.InjuryStartDate || r?.Updated || null,
+      source,
+    });
+  }
+  return out;
+}
+
+// Share of the missing teammates' per-game output that moves to this player
+// teamRows: [{ playerId, name, perGame }] for the player's team (season averages for the market)
+// → { factor, outShare, playerShare, teammates: [{ playerId, name, perGame, share, status }] }
+export function usageFromTeammates({ playerId, teamRows = [], out = [], absorb = 0, params = {} }) {
+  const p = { ...USAGE_PARAMS, ...params };
+  const rows = teamRows.filter(r => Number.isFinite(r.perGame) && r.perGame > 0);
+  const total = rows.reduce((s, r) => s + r.perGame, 0);
+  const me = rows.find(r => Number(r.playerId) === Number(playerId));
+  if (!(total > 0) || !me || !(absorb > 0)) return null;
+
+  const outStatus = new Map(out.filter(f => f.status === "OUT" || f.status === "DOUBTFUL").map(f => [Number(f.playerId), f.status]));
+  const teammates = rows
+    .filter(r => Number(r.playerId) !== Number(playerId) && outStatus.has(Number(r.playerId)))
+    .map(r => ({ playerId: r.playerId, name: r.name, perGame: r.perGame, share: r.perGame / total, status: outStatus.get(Number(r.playerId)) }))
+    .filter(t => t.share >= p.keyShare);
+  if (!teammates.length) return null;
+
+  const missing = teammates.reduce((s, t) => s + t.perGame, 0);
+  const remaining = total - missing;
+  if (!(remaining > 0)) return null;
+  const factor = Math.min(p.maxBoost, 1 + absorb * missing / remaining);
+  return { factor, outShare: missing / total, playerShare: me.perGame / remaining, teammates };
+}
+
+// Player news within `days` before the game date: { playerId, name, team, status, detail, updated, source }
+// (status is null; news is listed as context, only the injury report sets a status)
+export function newsFacts(rows, { dateStr, days = 3, limit = 2, source = "news" } = {}) {
+  const end = dateStr ? new Date(`${dateStr}T23:59:59`).getTime() : Infinity;
+  const start = Number.isFinite(end) ? end - (days + 1) * 86400000 : -Infinity;
+  return (Array.isArray(rows) ? rows : [])
+    .map(r => ({ r, t: new Date(r?.Updated ?? r?.TimeAgo ?? NaN).getTime() }))
+    .filter(({ r, t }) => r?.Title && Number.isFinite(t) && t > start && t <= end)
+    .sort((a, b) => b.t - a.t)
+    .slice(0, limit)
+    .map(({ r }) => ({
+      playerId: r.PlayerID ?? null,
+      name: r?.Name || null,
+      team: r?.Team ? String(r.Team).toUpperCase() : null,
+      status: null,
+      detail: r.Title,
+      updated: r.Updated,
+      source,
+    }));
+}
@@ -0,0 +1,160 @@
+// lib/players/playerDirectory.js
+// Resolves free-text player names ("Natasha Cloud (LIB)", "Jokić", "J. Tatum") to SportsDataIO
+// PlayerIDs from the Players endpoint: accent folding, team hints and fuzzy scoring.
+// Close calls come back as ambiguity candidates rather than a silent first match.
+
+const SUFFIXES = new Set(["jr", "sr", "ii", "iii", "iv", "v"]);
+export const RESOLVE_MIN_SCORE = 0.75;
+export const CANDIDATE_MIN_SCORE = 0.55;
+export const AMBIGUITY_MARGIN = 0.05;
+
+// "Nikola Jokić Jr." → "nikola jokic"
+export function normalizeName(s) {
+  return String(s || "")
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[’'`.]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter(t => t && !SUFFIXES.has(t))
+    .join(" ");
+}
+
+// "Natasha Cloud (LIB)" → { name: "Natasha Cloud", team: "LIB" }
+export function parsePlayerInput(raw) {
+  const s = String(raw || "").trim();
+  const m = s.match(/^(.*?)\s*[([]\s*([A-Za-z]{2,4})\s*[)\]]\s*$/);
+  return m ? { name: m[1].trim(), team: m[2].toUpperCase() } : { name: s, team: null };
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+const similarity = (a, b) => (!a || !b ? 0 : 1 - levenshtein(a, b) / Math.max(a.length, b.length));
+
+// First-name token: exact, initial ("j" ~ "jayson"), nickname prefix ("nic" ~ "nicholas") or typo
+function firstScore(q, c) {
+  if (q === c) return 1;
+  if (q.length === 1) return c.startsWith(q) ? 0.85 : 0;
+  if (q.length >= 3 && c.startsWith(q)) return 0.85;
+  return similarity(q, c) >= 0.75 ? similarity(q, c) * 0.9 : 0;
+}
+
+// 0..1 name score between normalized query and candidate names (team hint applied by caller)
+export function scoreName(query, candidate) {
+  const q = normalizeName(query), c = normalizeName(candidate);
+  if (!q || !c) return 0;
+  if (q === c) return 1;
+  const qt = q.split(" "), ct = c.split(" ");
+  const qLast = qt[qt.length - 1], cLast = ct[ct.length - 1];
+
+  if (qt.length === 1) {
+    // bare surname (or first name) — usable, never decisive on its own
+    if (qLast === cLast) return 0.7;
+    if (ct.includes(qLast)) return 0.6;
+    return similarity(qLast, cLast) >= 0.85 ? 0.6 * similarity(qLast, cLast) : 0;
+  }
+
+  const last = qLast === cLast ? 1 : similarity(qt.slice(1).join(""), ct.slice(1).join(""));
+  if (last < 0.8) return 0;
+  const first = firstScore(qt[0], ct[0]);
+  return first ? 0.55 * last + 0.45 * first : 0;
+}
+
+function toEntry(row) {
+  const name = row?.Name || [row?.FirstName, row?.LastName].filter(Boolean).join(" ");
+  return {
+    playerId: row?.PlayerID ?? null,
+    name,
+    team: row?.Team ? String(row.Team).toUpperCase() : null,
+    position: row?.Position || row?.PositionCategory || null,
+    throws: row?.ThrowHand || null, // MLB "L" / "R"
+    status: row?.Status || null,
+    norm: normalizeName(name),
+  };
+}
+
+const PLAYERS_FN = { MLB: "getMLBPlayers", NBA: "getNBAPlayers", WNBA: "getWNBAPlayers", NFL: "getNFLPlayers", NHL: "getNHLPlayers" };
+
+export class PlayerDirectory {
+  constructor(apiClient) {
+    this.apiClient = apiClient || null;
+    this._bySport = new Map(); // sport → entries
+  }
+
+  // Seed a sport from rows already in hand (box scores, fixtures) instead of the Players endpoint
+  addRows(sport, rows) {
+    const key = String(sport || "").toUpperCase();
+    const list = this._bySport.get(key) || [];
+    const seen = new Set(list.map(e => e.playerId));
+    for (const r of Array.isArray(rows) ? rows : []) {
+      const e = toEntry(r);
+      if (e.playerId == null || !e.norm || seen.has(e.playerId)) continue;
+      seen.add(e.playerId);
+      list.push(e);
+    }
+    this._bySport.set(key, list);
+    return list.length;
+  }
+
+  async load(sport) {
+    const key = String(sport || "").toUpperCase();
+    if (this._bySport.has(key)) return this._bySport.get(key);
+    const c = this.apiClient;
+    const fn = c && c[PLAYERS_FN[key]];
+    let rows = [];
+    if (typeof fn === "function") {
+      try { rows = await fn.call(c); } catch { rows = []; }
+    }
+    this.addRows(key, rows);
+    return this._bySport.get(key) || [];
+  }
+
+  // → [{ playerId, name, team, position, throws, score }] best first
+  async search(sport, query, { team = null, limit = 10 } = {}) {
+    const parsed = parsePlayerInput(query);
+    const hint = (team || parsed.team || "").toUpperCase() || null;
+    const entries = await this.load(sport);
+    const out = [];
+    for (const e of entries) {
+      let score = scoreName(parsed.name, e.name);
+      if (!score) continue;
+      if (hint) score += e.team === hint ? 0.1 : -0.25;
+      if (score < CANDIDATE_MIN_SCORE) continue;
+      out.push({ playerId: e.playerId, name: e.name, team: e.team, position: e.position, throws: e.throws, score: Math.round(Math.min(1, score) * 1000) / 1000 });
+    }
+    return out.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name)).slice(0, limit);
+  }
+
+  // → { player, candidates, ambiguous }; player is null unless one candidate clearly wins
+  async resolve(sport, query, { team = null } = {}) {
+    const candidates = await this.search(sport, query, { team, limit: 5 });
+    const [best, next] = candidates;
+    if (!best || best.score < RESOLVE_MIN_SCORE) return { player: null, candidates, ambiguous: false };
+    if (next && next.score >= best.score - AMBIGUITY_MARGIN) return { player: null, candidates, ambiguous: true };
+    return { player: best, candidates, ambiguous: false };
+  }
+}
+
+// Strict row matcher for box-score rows when no PlayerID is known: every query token must match a
+// whole name token (initials match a token's first letter), after accent folding and hint removal.
+export function nameMatcher(inputName) {
+  const qt = normalizeName(parsePlayerInput(inputName).name).split(" ").filter(Boolean);
+  return (candidate) => {
+    const ct = normalizeName(candidate).split(" ").filter(Boolean);
+    if (!qt.length || !ct.length) return false;
+    return qt.every(t => ct.some(c => c === t || (t.length === 1 && c.startsWith(t))));
+  };
+}
@@ -0,0 +1,373 @@
+// lib/sports/sportAdapters.js
+// Sport adapters: the per-sport knowledge both engines need (which SportsDataIO endpoints hold
+// box scores, season totals, schedules and odds; how seasons are labeled; how a market's stat is
+// read and priced). Engines look an adapter up by sport; registerSportAdapter() adds a sport.
+//
+// Adapter shape:
+//   sport
+//   seasonFor(dateStr)                  → SportsDataIO season label for a game date
+//   fetchStatsByDate(ctx, dateStr)      → player game rows for one date ([] where the sport has none)
+//   fetchSeason(ctx, season)            → player season rows
+//   fetchRecents(ctx, { dateStr, season, market, findRow, maxGames })
+//                                       → [{ value, row, date }] newest first, appearances only
+//   statValue(market, row)              → stat for one game row | NaN
+//   seasonAverage(market, row)          → per-game (MLB pitchers: per-start) season value | NaN
+//   distribution(market, sample)        → { name, dispersion, skew } chosen from the market's family
+//                                         and the recent values (StatisticalModels.chooseDistribution)
+//   varianceFloor(market, mu)           → variance used when fewer than 3 recent games exist
+//   projectMu(market, { recents, seasonRow, dateStr, pitchLimit })
+//                                       → { mu, label, flags } replacing the recent/season blend | null
+//   highVarianceStdDev                  → stdDev above which props take the variance penalty
+//   fetchTeamGameLogs(ctx, dateStr)     → team game rows from the window before dateStr (matchups)
+//   fetchPlayerGameLogs(ctx, dateStr)   → player game rows from that window (position splits)
+//   matchupFactor(model, market, { opponent, position, throws, ctx, dateStr })
+//                                       → MatchupModel result for the opponent | null (may be async)
+//   contextAdjustments(ctx, { market, mu, dateStr, team, opponent, umpire })
+//                                       → { adjustments: [{ kind, label, delta }], total } additive on μ | null
+//   fetchInjuries(ctx)                  → injury report rows (InjuredPlayers) for the league
+//   fetchPlayerNews(ctx, playerId)      → news rows for one player, newest first
+//   usageAbsorb                         → share of missing teammates' output a remaining player
+//                                         absorbs, scaled by their share of what's left (0 = none)
+//   fetchSeasonGames(ctx, season)       → schedule/score rows for the team-strength model
+//   fetchGameOdds(ctx, dateStr)         → pregame odds rows for the slate around dateStr
+//   fetchPropOdds(ctx, dateStr)         → player prop lines for the slate (odds history recorder)
+//   fetchBettingSplits(ctx, gameId)     → public bet / money percentages for one game's markets | null
+//
+// ctx = { client, track(tag), filtered() }: track() records the endpoint tag, filtered() counts
+// rows that matched the player but had no qualifying appearance or stat.
+import { StatisticalModels } from "../statisticalModels.js";
+import { positionGroup } from "../models/matchup.js";
+import { findTeamGame, hasMLBContext, loadMLBContextData, mlbContextAdjustments } from "../context/mlbContext.js";
+import { projectStrikeouts } from "../models/pitcherLeash.js";
+import { handOf, lineupFor, lineupStrikeoutRate, slateTeam } from "../models/lineupStrikeouts.js";
+
+const SPORT_ADAPTERS = new Map();
+
+function fmtLocalDate(d) {
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+
+function shiftDate(dateStr, days) {
+  const d = new Date(dateStr);
+  d.setDate(d.getDate() + days);
+  return fmtLocalDate(d);
+}
+
+// Client call → array; missing method or a failed request reads as "no rows"
+async function pull(ctx, fn, tag, ...args) {
+  const c = ctx?.client;
+  if (!c || typeof c[fn] !== "function") return [];
+  try {
+    ctx.track?.(tag);
+    const r = await c[fn](...args);
+    return Array.isArray(r) ? r : [];
+  } catch {
+    return [];
+  }
+}
+
+// Same for single-record endpoints: object, or null
+async function pullOne(ctx, fn, tag, ...args) {
+  const c = ctx?.client;
+  if (!c || typeof c[fn] !== "function") return null;
+  try {
+    ctx.track?.(tag);
+    const r = await c[fn](...args);
+    return r && typeof r === "object" && !Array.isArray(r) ? r : null;
+  } catch {
+    return null;
+  }
+}
+
+// Week arithmetic: week 1 starts the first Thursday of September; Jan/Feb belong to the prior season
+export function nflSeasonWeek(dateStr) {
+  const d = new Date(dateStr);
+  let season = d.getFullYear();
+  if (d.getMonth() + 1 < 3) season -= 1;
+  const firstThu = new Date(season, 8, 1);
+  while (firstThu.getDay() !== 4) firstThu.setDate(firstThu.getDate() + 1);
+  const diffDays = Math.floor((d - firstThu) / 86400000);
+  return { season, week: Math.max(1, Math.min(22, Math.floor(diffDays / 7) + 1)) };
+}
+
+const calendarSeason = (dateStr) => new Date(dateStr).getFullYear();
+// NBA/NHL seasons straddle New Year and are labeled by their ending year
+const endingYearSeason = (dateStr) => {
+  const d = new Date(dateStr);
+  return d.getMonth() + 1 >= 10 ? d.getFullYear() + 1 : d.getFullYear();
+};
+
+function perGame(total, row) {
+  const games = Number(row?.Games ?? row?.GamesPlayed ?? NaN);
+  return Number.isFinite(total) && Number.isFinite(games) && games > 0 ? total / games : NaN;
+}
+
+// Shared defaults; each sport overrides what differs
+function baseAdapter(sport) {
+  return {
+    sport,
+    seasonFor: calendarSeason,
+    varianceSpread: 0.15,
+    highVarianceStdDev: 4,
+    async fetchStatsByDate() { return []; },
+    async fetchSeason() { return []; },
+    async fetchRecents() { return []; },
+    statValue(market, row) { return market ? market.value(row) : NaN; },
+    seasonAverage(market, row) { return market ? perGame(market.seasonValue(row), row) : NaN; },
+    distribution(market, sample = []) { return StatisticalModels.chooseDistribution(market?.model || "normal", sample); },
+    varianceFloor(market, mu) { return Math.max(market?.varianceFloor ?? 2.25, Math.abs(mu * this.varianceSpread)); },
+    async fetchTeamGameLogs() { return []; },
+    async fetchPlayerGameLogs() { return []; },
+    // default: team totals the opponent allowed per game
+    matchupFactor(model, market, { opponent } = {}) {
+      const opp = model.resolveTeam(opponent);
+      return opp && market ? model.teamAllowed(market, opp) : null;
+    },
+    projectMu() { return null; },
+    async contextAdjustments() { return null; },
+    usageAbsorb: 0,
+    fetchInjuries(ctx) {
+      return pull(ctx, `get${sport}InjuredPlayers`, `${sport}:injuries`);
+    },
+    fetchPlayerNews(ctx, playerId) {
+      return pull(ctx, `get${sport}NewsByPlayer`, `${sport}:news:${playerId}`, playerId);
+    },
+    async fetchSeasonGames() { return []; },
+    async fetchGameOdds() { return []; },
+    async fetchPropOdds() { return []; },
+    fetchBettingSplits(ctx, gameId) {
+      return pullOne(ctx, `get${sport}BettingSplitsByGameId`, `${sport}:betting-splits:${gameId}`, gameId);
+    },
+  };
+}
+
+// Rows for each of the `days` dates before dateStr (the game date itself is excluded)
+async function pullWindow(ctx, days, dateStr, fetchDay) {
+  const out = [];
+  for (let d = 1; d <= days; d++) {
+    const rows = await fetchDay(shiftDate(dateStr, -d));
+    for (const r of rows) out.push(r);
+  }
+  return out;
+}
+
+// Value for one matched row, or undefined (and counted as filtered) when it doesn't qualify
+function recentValue(adapter, ctx, market, row) {
+  if (market && !market.appeared(row)) { ctx.filtered?.(); return undefined; }
+  const v = adapter.statValue(market, row);
+  if (Number.isFinite(v)) return v;
+  ctx.filtered?.();
+  return undefined;
+}
+
+// Sports with per-date box scores and per-date odds (MLB/NBA/WNBA/NHL)
+function dailyAdapter(sport, overrides = {}) {
+  const adapter = {
+    ...baseAdapter(sport),
+    lookbackDays: 45,
+    matchupDays: 21,
+    fetchStatsByDate(ctx, dateStr) {
+      return pull(ctx, `get${sport}PlayerStatsByDate`, `${sport}:player-stats-by-date:${dateStr}`, dateStr);
+    },
+    fetchSeason(ctx, season) {
+      return pull(ctx, `get${sport}PlayerSeasonStats`, `${sport}:player-season-stats:${season}`, season);
+    },
+    // walk back day by day until maxGames appearances or lookbackDays run out
+    async fetchRecents(ctx, { dateStr, market, findRow, maxGames = 10 }) {
+      const out = [];
+      for (let d = 0; d < this.lookbackDays && out.length < maxGames; d++) {
+        const day = shiftDate(dateStr, -d);
+        const rows = await this.fetchStatsByDate(ctx, day);
+        const row = rows.length ? findRow(rows) : null;
+        if (!row) continue;
+        const value = recentValue(this, ctx, market, row);
+        if (value !== undefined) out.push({ value, row, date: day });
+      }
+      return out;
+    },
+    fetchTeamGameLogs(ctx, dateStr) {
+      return pullWindow(ctx, this.matchupDays, dateStr, (day) =>
+        pull(ctx, `get${sport}TeamGameStatsByDate`, `${sport}:team-stats-by-date:${day}`, day));
+    },
+    async fetchSeasonGames(ctx, season) {
+      return pull(ctx, `get${sport}GamesBySeason`, `${sport}:games:${season}`, season);
+    },
+    // slate date, then the day before / after (late starts, time zones)
+    async fetchGameOdds(ctx, dateStr) {
+      for (const off of [0, -1, 1]) {
+        const day = shiftDate(dateStr, off);
+        const rows = await pull(ctx, `get${sport}GameOdds`, `${sport}:game-odds:${day}`, day);
+        if (rows.length) return rows;
+      }
+      return [];
+    },
+    fetchPropOdds(ctx, dateStr) {
+      return pull(ctx, `get${sport}PlayerPropsByDate`, `${sport}:player-props:${dateStr}`, dateStr);
+    },
+    ...overrides,
+  };
+  return adapter;
+}
+
+const mlbAdapter = dailyAdapter("MLB", {
+  lookbackDays: 120,
+  matchupDays: 14,
+  varianceSpread: 0.10,
+  // pitcher strikeouts: opponent lineup / split K% vs the pitcher's hand, else recent team K rate;
+  // other pitcher markets carry no factor
+  async matchupFactor(model, market, { opponent, throws, ctx, dateStr } = {}) {
+    if (!market) return null;
+    if (market.role !== "pitcher") {
+      const opp = model.resolveTeam(opponent);
+      return opp ? model.teamAllowed(market, opp) : null;
+    }
+    if (market.stat !== "strikeouts") return null;
+    const lineups = ctx ? await pull(ctx, "getMLBStartingLineupsByDate", `MLB:lineups:${dateStr}`, dateStr) : [];
+    const opp = model.resolveTeam(opponent) || slateTeam(lineups, opponent);
+    if (!opp) return null;
+    if (ctx) {
+      const season = this.seasonFor(dateStr);
+      const byLineup = lineupStrikeoutRate({
+        opponent: opp,
+        hand: handOf(throws),
+        lineup: lineupFor(lineups, opp),
+        seasonRows: await this.fetchSeason(ctx, season),
+        splitRows: await pull(ctx, "getMLBPlayerSeasonSplitStats", `MLB:player-season-splits:${season}`, season),
+      });
+      if (byLineup) return byLineup;
+    }
+    return model.strikeoutRate(opp);
+  },
+  // pitcher Ks: innings expected × BF per inning × K per BF (lib/models/pitcherLeash.js)
+  projectMu(market, { recents, seasonRow, dateStr, pitchLimit } = {}) {
+    if (market?.role !== "pitcher" || market.stat !== "strikeouts") return null;
+    return projectStrikeouts({ recents, seasonRow, dateStr, pitchLimit });
+  },
+  // park / umpire / weather for strikeout markets, keyed off the home team of the player's game
+  async contextAdjustments(ctx, { market, mu, dateStr, team, opponent, umpire } = {}) {
+    if (!hasMLBContext(market)) return null;
+    const games = await pull(ctx, "getMLBGamesByDate", `MLB:games-by-date:${dateStr}`, dateStr);
+    const game = findTeamGame(games, team, opponent);
+    if (!game) return null;
+    return mlbContextAdjustments(market, mu, { game, dateStr, umpire, data: await loadMLBContextData() });
+  },
+  // pitcher markets average per start, not per appearance
+  seasonAverage(market, row) {
+    if (!market) return NaN;
+    const total = market.seasonValue(row);
+    const starts = Number(row?.GamesStarted ?? NaN);
+    if (market.role === "pitcher" && Number.isFinite(starts) && starts > 0) {
+      return Number.isFinite(total) ? total / starts : NaN;
+    }
+    return perGame(total, row);
+  },
+});
+
+// Basketball: what the opponent allows to the player's position group, else to the whole team
+const basketballMatchup = {
+  usageAbsorb: 0.5,
+  fetchPlayerGameLogs(ctx, dateStr) {
+    return pullWindow(ctx, this.matchupDays, dateStr, (day) => this.fetchStatsByDate(ctx, day));
+  },
+  matchupFactor(model, market, { opponent, position } = {}) {
+    const opp = model.resolveTeam(opponent);
+    if (!opp || !market) return null;
+    const group = positionGroup(position);
+    return (group && model.positionAllowed(market, opp, group)) || model.teamAllowed(market, opp);
+  },
+};
+
+const nbaAdapter = dailyAdapter("NBA", { seasonFor: endingYearSeason, ...basketballMatchup });
+const wnbaAdapter = dailyAdapter("WNBA", basketballMatchup);
+const nhlAdapter = dailyAdapter("NHL", { seasonFor: endingYearSeason, usageAbsorb: 0.3 });
+
+// NFL: weekly box scores and weekly odds; yardage swings are normal, so no variance penalty
+const nflAdapter = {
+  ...baseAdapter("NFL"),
+  varianceSpread: 0.20,
+  highVarianceStdDev: Infinity,
+  usageAbsorb: 0.4,
+  seasonFor: (dateStr) => nflSeasonWeek(dateStr).season,
+  fetchSeason(ctx, season) {
+    return pull(ctx, "getNFLPlayerSeasonStats", `NFL:player-season-stats:${season}`, season);
+  },
+  fetchWeek(ctx, season, week) {
+    return pull(ctx, "getNFLPlayerGameStatsByWeek", `NFL:player-stats-by-week:${season}-W${week}`, season, week);
+  },
+  // current season/week from the API when available, else inferred from the game date
+  async fetchRecents(ctx, { dateStr, season, market, findRow, maxGames = 8 }) {
+    const c = ctx?.client;
+    let curSeason = season;
+    let curWeek = null;
+    if (c && typeof c.getNFLSeasonCurrent === "function") {
+      try {
+        const s = await c.getNFLSeasonCurrent();
+        if (s && Number(s)) curSeason = Number(s);
+      } catch {}
+    }
+    if (c && typeof c.getNFLWeekCurrent === "function") {
+      try {
+        const w = await c.getNFLWeekCurrent();
+        if (w && Number(w)) curWeek = Number(w);
+      } catch {}
+    }
+    if (!curWeek) curWeek = nflSeasonWeek(dateStr).week;
+
+    const out = [];
+    for (let w = curWeek; w >= 1 && out.length < maxGames; w--) {
+      const rows = await this.fetchWeek(ctx, curSeason, w);
+      const row = rows.length ? findRow(rows) : null;
+      if (!row) continue;
+      const value = recentValue(this, ctx, market, row);
+      if (value !== undefined) out.push({ value, row, date: String(row?.GameDate ?? row?.Day ?? "").slice(0, 10) || null });
+    }
+    return out;
+  },
+  // completed weeks of the current season before the game's week (up to six)
+  async fetchTeamGameLogs(ctx, dateStr) {
+    const { season, week } = nflSeasonWeek(dateStr);
+    const out = [];
+    for (let w = week - 1; w >= Math.max(1, week - 6); w--) {
+      const rows = await pull(ctx, "getNFLTeamGameStatsByWeek", `NFL:team-stats-by-week:${season}-W${w}`, season, w);
+      for (const r of rows) out.push(r);
+    }
+    return out;
+  },
+  async fetchSeasonGames(ctx, season) {
+    return pull(ctx, "getNFLScoresBySeason", `NFL:scores:${season}`, season);
+  },
+  // odds are posted per week; step back up to three weeks when the current one is empty
+  async fetchGameOdds(ctx, dateStr) {
+    const { week } = nflSeasonWeek(dateStr);
+    for (let off = 0; off >= -3; off--) {
+      const w = Math.max(1, week + off);
+      const rows = await pull(ctx, "getNFLGameOdds", `NFL:game-odds:${w}`, w);
+      if (rows.length) return rows;
+      if (w === 1) break;
+    }
+    return [];
+  },
+  fetchPropOdds(ctx, dateStr) {
+    const { season, week } = nflSeasonWeek(dateStr);
+    return pull(ctx, "getNFLPlayerPropsByWeek", `NFL:player-props:${season}-W${week}`, season, week);
+  },
+};
+
+export function registerSportAdapter(adapter) {
+  if (!adapter?.sport) throw new Error("Sport adapter needs a sport");
+  SPORT_ADAPTERS.set(String(adapter.sport).toUpperCase(), adapter);
+  return adapter;
+}
+
+export function getSportAdapter(sport) {
+  return SPORT_ADAPTERS.get(String(sport || "").toUpperCase()) || null;
+}
+
+export function supportedSports() {
+  return [...SPORT_ADAPTERS.keys()];
+}
+
+for (const a of [mlbAdapter, nbaAdapter, wnbaAdapter, nflAdapter, nhlAdapter]) registerSportAdapter(a);
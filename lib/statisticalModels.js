@@ -1,5 +1,7 @@
 // lib/statisticalModels.js
-// Minimal tail calculators used by engines.
+// Line-outcome calculators used by engines: { pOver, pUnder, pPush } under Normal, Poisson,
+// negative binomial, smoothed-empirical and skew-corrected Normal models, the dispersion-based
+// choice between them for prop markets, and plain Normal tails for margins/totals.
 
 function erf(x) {
   // Abramowitz–Stegun approximation
@@ -8,7 +10,7 @@ function erf(x) {
   const a1=0.254829592, a2=-0.284496736, a3=1.421413741, a4=-1.453152027, a5=1.061405429;
   const p=0.3275911;
   const t=1/(1+p*x);
-  const y=1-((((a5*t+a4)*t)+a3)*t+a2)*t*a1*t*Math.exp(-x*x);
+  const y=1-(((((a5*t+a4)*t+a3)*t+a2)*t+a1)*t)*Math.exp(-x*x);
   return sign*y;
 }
 function normalCCDF(x, mu=0, sigma=1) {
@@ -16,28 +18,221 @@ function normalCCDF(x, mu=0, sigma=1) {
   const z = (x - mu) / (sigma * Math.SQRT2);
   return 0.5 * (1 - erf(z));
 }
-function factorial(n){ let r=1; for(let i=2;i<=n;i++) r*=i; return r; }
-function poissonCDF(k, lambda){
-  if (lambda <= 0) return k >= 0 ? 1 : 0;
+// Acklam's rational approximation to the inverse standard normal CDF
+function normalQuantile(p) {
+  if (!(p > 0)) return -Infinity;
+  if (!(p < 1)) return Infinity;
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const lo = 0.02425, hi = 1 - lo;
+  if (p < lo) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0]*q+c[1])*q+c[2])*q+c[3])*q+c[4])*q+c[5]) / ((((d[0]*q+d[1])*q+d[2])*q+d[3])*q+1);
+  }
+  if (p > hi) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0]*q+c[1])*q+c[2])*q+c[3])*q+c[4])*q+c[5]) / ((((d[0]*q+d[1])*q+d[2])*q+d[3])*q+1);
+  }
+  const q = p - 0.5, r = q * q;
+  return (((((a[0]*r+a[1])*r+a[2])*r+a[3])*r+a[4])*r+a[5])*q / (((((b[0]*r+b[1])*r+b[2])*r+b[3])*r+b[4])*r+1);
+}
+// Lanczos approximation (g = 7, n = 9) to ln Γ(x)
+const LANCZOS = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+function logGamma(x) {
+  if (x < 0.5) return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
+  x -= 1;
+  let a = LANCZOS[0];
+  const t = x + 7.5;
+  for (let i = 1; i < 9; i++) a += LANCZOS[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+function logSumExp(logs) {
+  const m = Math.max(...logs);
+  if (!Number.isFinite(m)) return m;
+  return m + Math.log(logs.reduce((s, l) => s + Math.exp(l - m), 0));
+}
+// P(X ≤ k), summed in log space so large means (yardage, saves) don't overflow
+function poissonCDF(k, lambda) {
+  if (k < 0) return 0;
+  if (lambda <= 0) return 1;
+  const logL = Math.log(lambda);
+  const logs = [];
+  for (let i = 0; i <= Math.floor(k); i++) logs.push(i * logL - lambda - logGamma(i + 1));
+  return Math.min(1, Math.exp(logSumExp(logs)));
+}
+// NB with mean mu and variance v > mu: r = mu²/(v − mu), success prob p = r/(r + mu)
+function negBinomialCDF(k, mu, variance) {
+  if (k < 0) return 0;
+  if (mu <= 0) return 1;
+  if (!(variance > mu)) return poissonCDF(k, mu);
+  const r = (mu * mu) / (variance - mu);
+  const p = r / (r + mu);
+  const base = r * Math.log(p) - logGamma(r), logQ = Math.log(1 - p);
+  const logs = [];
+  for (let i = 0; i <= Math.floor(k); i++) logs.push(base + logGamma(i + r) - logGamma(i + 1) + i * logQ);
+  return Math.min(1, Math.exp(logSumExp(logs)));
+}
+
+// Over/under/push for an integer-valued stat given cdf(k) = P(X ≤ k).
+// Half lines can't push; on a whole line L, over is X ≥ L+1, under X ≤ L−1, push X = L.
+function lineOutcome(cdf, line) {
+  const L = Number(line);
+  const whole = Math.abs(L - Math.round(L)) < 1e-9;
+  const hi = whole ? Math.round(L) : Math.floor(L);
+  const lo = whole ? hi - 1 : hi;
+  const under = Math.max(0, Math.min(1, cdf(lo)));
+  const notOver = Math.max(under, Math.min(1, cdf(hi)));
+  return { pOver: 1 - notOver, pUnder: under, pPush: notOver - under };
+}
+
+// n, mean, unbiased variance, adjusted sample skewness
+function describeSample(values) {
+  const xs = (Array.isArray(values) ? values : []).map(Number).filter(Number.isFinite);
+  const n = xs.length;
+  if (!n) return { n: 0, mean: NaN, variance: NaN, skew: 0, integer: false };
+  const mean = xs.reduce((a, b) => a + b, 0) / n;
+  const m2 = xs.reduce((a, x) => a + (x - mean) ** 2, 0) / n;
+  const m3 = xs.reduce((a, x) => a + (x - mean) ** 3, 0) / n;
+  const variance = n > 1 ? (m2 * n) / (n - 1) : 0;
+  const skew = n > 2 && m2 > 0 ? (m3 / Math.pow(m2, 1.5)) * Math.sqrt(n * (n - 1)) / (n - 2) : 0;
+  return { n, mean, variance, skew, integer: xs.every(Number.isInteger) };
+}
+
+// Distribution choice thresholds (dispersion index D = variance / mean)
+const DIST = {
+  MIN_SAMPLE: 5,          // fewer recent games → the market's default family
+  OVERDISPERSED: 1.3,     // D above this → negative binomial
+  UNDERDISPERSED: 0.7,    // D below this (with EMPIRICAL_SAMPLE games) → empirical
+  EMPIRICAL_SAMPLE: 8,
+  COUNT_MEAN_MAX: 12,     // integer "normal" markets averaging at most this are treated as counts
+  SKEW_SAMPLE: 6,
+  SKEW_MIN: 0.3,          // |skew| above this → skew-aware tail for continuous markets
+  SKEW_CAP: 1,
+};
+
+// P(X > x) under a Cornish–Fisher skew correction of N(mu, sigma)
+function skewedTail(mu, sigma, skew, x) {
+  const g = Math.max(-DIST.SKEW_CAP, Math.min(DIST.SKEW_CAP, Number(skew) || 0));
+  const z = (x - mu) / (sigma > 0 ? sigma : 1);
+  const a = g / 6;
+  if (Math.abs(a) < 1e-6) return normalCCDF(z);
+  // z = w + a(w² − 1) solved for the standard normal w on the monotone branch
+  const disc = 1 + 4 * a * (a + z);
+  const w = disc > 0 ? (-1 + Math.sqrt(disc)) / (2 * a) : -1 / (2 * a);
+  return normalCCDF(w);
+}
+
+// Smoothed bootstrap: each observation, recentred so the sample mean is mu, is a Normal kernel
+// with Silverman bandwidth (at least half a unit for counts). → P(X > x)
+function empiricalTail(values, x, mu) {
+  const { n, mean, variance } = describeSample(values);
+  if (!n) return NaN;
+  const shift = Number.isFinite(mu) ? mu - mean : 0;
+  const h = Math.max(0.5, 1.06 * Math.sqrt(variance || 0) * Math.pow(n, -0.2));
   let sum = 0;
-  for (let i=0;i<=Math.floor(k);i++){
-    sum += Math.pow(lambda, i) / factorial(i);
+  for (const v of values) {
+    const xv = Number(v);
+    if (Number.isFinite(xv)) sum += normalCCDF(x, xv + shift, h);
   }
-  return Math.exp(-lambda) * sum;
+  return sum / n;
 }
 
 export const StatisticalModels = {
-  // P(X > line) with a 0.5 continuity correction: P(X >= ceil(line+ε))
+  // ---------- { pOver, pUnder, pPush } at a prop line ----------
+
+  poissonOutcome(mu, line) {
+    const lambda = Math.max(0, Number(mu) || 0);
+    return lineOutcome(k => poissonCDF(k, lambda), line);
+  },
+
+  // Poisson when variance ≤ mean
+  negativeBinomialOutcome(mu, variance, line) {
+    const m = Math.max(0, Number(mu) || 0);
+    return lineOutcome(k => negBinomialCDF(k, m, variance), line);
+  },
+
+  // Integer-valued stat read off N(mu, sigma) with a continuity correction: X = k ⇔ k−½ < Y ≤ k+½
+  normalOutcome(mu, sigma, line) {
+    return lineOutcome(k => 1 - normalCCDF(k + 0.5, mu, sigma), line);
+  },
+
+  skewedOutcome(mu, sigma, skew, line) {
+    return lineOutcome(k => 1 - skewedTail(mu, sigma, skew, k + 0.5), line);
+  },
+
+  empiricalOutcome(values, line, { mu } = {}) {
+    if (!describeSample(values).n) return { pOver: NaN, pUnder: NaN, pPush: NaN };
+    return lineOutcome(k => 1 - empiricalTail(values, k + 0.5, mu), line);
+  },
+
+  // dist from chooseDistribution; params { mu, sigma, sample }
+  outcome(dist, { mu, sigma, sample = [] }, line) {
+    switch (dist?.name) {
+      case "poisson": return this.poissonOutcome(mu, line);
+      // keep the observed dispersion index around the model mean
+      case "negative_binomial": return this.negativeBinomialOutcome(mu, mu * dist.dispersion, line);
+      case "empirical": return this.empiricalOutcome(sample, line, { mu });
+      case "skew_normal": return this.skewedOutcome(mu, sigma, dist.skew, line);
+      default: return this.normalOutcome(mu, sigma, line);
+    }
+  },
+
+  // ---------- P(X > line) ----------
+
   calculatePoissonProbability(mu, line) {
-    const thr = Math.floor(line + 0.5); // continuity-ish
-    const cdf = poissonCDF(thr, Math.max(0, mu));
-    const pOver = 1 - cdf;
-    return Math.max(0, Math.min(1, pOver));
+    return this.poissonOutcome(mu, line).pOver;
   },
 
-  // P(X > line) using Normal tail with 0.5 continuity correction
+  // Integer-valued stat, continuity-corrected (see normalOutcome)
   calculateNormalProbability(mu, sigma, line) {
-    const x = line + 0.5;
+    return this.normalOutcome(mu, sigma, line).pOver;
+  },
+
+  // P(X > x) for a continuous Normal, no continuity correction (margins/totals)
+  calculateNormalTail(mu, sigma, x) {
     return normalCCDF(x, mu, sigma);
+  },
+
+  calculateNegativeBinomialProbability(mu, variance, line) {
+    return this.negativeBinomialOutcome(mu, variance, line).pOver;
+  },
+
+  calculateEmpiricalProbability(values, line, { mu } = {}) {
+    return this.empiricalOutcome(values, line, { mu }).pOver;
+  },
+
+  // P(X > x) for a right/left-skewed continuous stat
+  calculateSkewedTail(mu, sigma, skew, x) {
+    return skewedTail(mu, sigma, skew, x);
+  },
+
+  describeSample(values) {
+    return describeSample(values);
+  },
+
+  // family: the market's default ("poisson" | "normal" | "continuous"); values: recent games.
+  // → { name, dispersion, skew } with name ∈ poisson | negative_binomial | empirical | normal | normal_tail | skew_normal
+  chooseDistribution(family, values) {
+    const s = describeSample(values);
+    const dispersion = s.n > 1 && s.mean > 0 ? s.variance / s.mean : null;
+    const fallback = family === "poisson" ? "poisson" : family === "continuous" ? "normal_tail" : "normal";
+    const out = (name) => ({ name, dispersion, skew: s.skew, sample: s.n });
+
+    if (family === "continuous") {
+      return out(s.n >= DIST.SKEW_SAMPLE && Math.abs(s.skew) >= DIST.SKEW_MIN ? "skew_normal" : "normal_tail");
+    }
+    const countLike = family === "poisson" || (s.integer && s.mean <= DIST.COUNT_MEAN_MAX);
+    if (!countLike || s.n < DIST.MIN_SAMPLE || dispersion === null) return out(fallback);
+    if (dispersion > DIST.OVERDISPERSED) return out("negative_binomial");
+    if (dispersion < DIST.UNDERDISPERSED && s.n >= DIST.EMPIRICAL_SAMPLE) return out("empirical");
+    return out("poisson");
+  },
+
+  // Standard normal z for cumulative probability p
+  normalQuantile(p) {
+    return normalQuantile(p);
   }
 };
@@ -0,0 +1,80 @@
+// lib/statisticalModels.test.js — node --test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { StatisticalModels as SM } from "./statisticalModels.js";
+
+const close = (a, b, tol = 1e-9, msg) => assert.ok(Math.abs(a - b) <= tol, msg ?? `${a} vs ${b}`);
+const sumsToOne = ({ pOver, pUnder, pPush }, msg) => close(pOver + pUnder + pPush, 1, 1e-9, msg);
+
+const poissonPmf = (k, lambda) => {
+  let p = Math.exp(-lambda);
+  for (let i = 1; i <= k; i++) p *= lambda / i;
+  return p;
+};
+
+test("over + under + push = 1 on whole and half lines for every family", () => {
+  const sample = [3, 5, 4, 6, 2, 5, 7, 4, 3, 5];
+  for (const line of [0.5, 3, 3.5, 5, 7, 24.5]) {
+    sumsToOne(SM.poissonOutcome(4.6, line), `poisson ${line}`);
+    sumsToOne(SM.negativeBinomialOutcome(4.6, 9, line), `negative binomial ${line}`);
+    sumsToOne(SM.normalOutcome(4.6, 2.1, line), `normal ${line}`);
+    sumsToOne(SM.skewedOutcome(4.6, 2.1, 0.7, line), `skewed ${line}`);
+    sumsToOne(SM.empiricalOutcome(sample, line, { mu: 4.6 }), `empirical ${line}`);
+  }
+});
+
+test("half lines never push; a whole line pushes with P(X = line)", () => {
+  assert.equal(SM.poissonOutcome(4.6, 4.5).pPush, 0);
+  assert.equal(SM.negativeBinomialOutcome(4.6, 9, 4.5).pPush, 0);
+  close(SM.poissonOutcome(10, 10).pPush, poissonPmf(10, 10), 1e-12);
+  // over on a whole line is X ≥ line + 1
+  close(SM.poissonOutcome(2, 2).pOver, 1 - poissonPmf(0, 2) - poissonPmf(1, 2) - poissonPmf(2, 2), 1e-12);
+});
+
+test("poisson matches the closed form", () => {
+  close(SM.poissonOutcome(2, 2.5).pOver, 1 - 5 * Math.exp(-2), 1e-12);
+  close(SM.poissonOutcome(0, 0.5).pOver, 0);
+});
+
+test("large-mean poisson stays finite instead of underflowing", () => {
+  for (const mu of [250, 800, 1500]) {
+    const out = SM.poissonOutcome(mu, mu - 0.5);
+    assert.ok(Number.isFinite(out.pOver) && Number.isFinite(out.pUnder), `mu=${mu}`);
+    sumsToOne(out, `mu=${mu}`);
+    // P(X ≥ mu) for a large Poisson mean sits just above one half
+    assert.ok(out.pOver > 0.5 && out.pOver < 0.52, `mu=${mu}: ${out.pOver}`);
+  }
+});
+
+test("negative binomial reduces to poisson when variance ≤ mean", () => {
+  for (const line of [1.5, 4, 6.5]) {
+    assert.deepEqual(SM.negativeBinomialOutcome(4.6, 4.6, line), SM.poissonOutcome(4.6, line));
+    assert.deepEqual(SM.negativeBinomialOutcome(4.6, 3, line), SM.poissonOutcome(4.6, line));
+  }
+});
+
+test("negative binomial matches the pmf sum", () => {
+  // mean 2, variance 4 → r = 2, p = 0.5: P(0..2) = 0.25 + 0.25 + 0.1875
+  close(SM.negativeBinomialOutcome(2, 4, 2.5).pOver, 0.3125, 1e-12);
+  // fatter right tail than the poisson at the same mean
+  assert.ok(SM.negativeBinomialOutcome(20, 60, 30.5).pOver > SM.poissonOutcome(20, 30.5).pOver);
+});
+
+test("skewed tail: zero skew is the normal, positive skew fattens the right tail", () => {
+  for (const line of [15.5, 20, 30.5]) {
+    const normal = SM.normalOutcome(20, 5, line);
+    const flat = SM.skewedOutcome(20, 5, 0, line);
+    close(flat.pOver, normal.pOver, 1e-12);
+    close(flat.pPush, normal.pPush, 1e-12);
+  }
+  assert.ok(SM.skewedOutcome(20, 5, 0.8, 30.5).pOver > SM.normalOutcome(20, 5, 30.5).pOver);
+  assert.ok(SM.skewedOutcome(20, 5, -0.8, 30.5).pOver < SM.normalOutcome(20, 5, 30.5).pOver);
+  // skew is capped, and the tail falls as the line rises
+  assert.deepEqual(SM.skewedOutcome(20, 5, 4, 27.5), SM.skewedOutcome(20, 5, 1, 27.5));
+  let prev = 1;
+  for (let line = 0.5; line < 60; line += 1) {
+    const p = SM.skewedOutcome(20, 5, 1, line).pOver;
+    assert.ok(p <= prev + 1e-12, `line ${line}`);
+    prev = p;
+  }
+});
@@ -0,0 +1,31 @@
+// lib/storage/jsonFile.js
+// Read-modify-write helpers for the JSON files under .data (bet ledger, odds history). Every
+// instance pointing at one path shares a queue, so handlers that each build their own ledger
+// still take turns; writes land through a uniquely named temp file and an atomic rename.
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+
+const queues = new Map(); // resolved path → tail of its queue
+
+// Runs fn after every earlier fn queued on the same file; fn should read the file itself
+export function withFileLock(file, fn) {
+  const key = path.resolve(file);
+  const run = (queues.get(key) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  queues.set(key, tail);
+  tail.then(() => { if (queues.get(key) === tail) queues.delete(key); });
+  return run;
+}
+
+export async function writeFileAtomic(file, text) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${randomUUID().slice(0, 8)}.tmp`;
+  try {
+    await fs.writeFile(tmp, text);
+    await fs.rename(tmp, file);
+  } catch (e) {
+    await fs.rm(tmp, { force: true });
+    throw e;
+  }
+}
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// scripts/backtest.js
+// Offline props backtest against recorded SportsDataIO fixtures.
+//   npm run backtest -- --slate slate.json --fixtures fixtures/ [--thresholds '{"LOCK_CONFIDENCE":0.72}']
+//                       [--weights '{"model":0.5,"market":0.3}'] [--out report.json] [--rows]
+import { promises as fs } from "node:fs";
+import { FixtureStore } from "../lib/backtest/fixtureStore.js";
+import { runBacktest } from "../lib/backtest/backtestRunner.js";
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) out[a.slice(2)] = true;
+    else { out[a.slice(2)] = next; i++; }
+  }
+  return out;
+}
+
+const fmtPct = (x) => (x == null ? "   n/a" : `${(x * 100).toFixed(1).padStart(5)}%`);
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.slate || !args.fixtures) {
+    console.error("usage: backtest --slate <slate.json> --fixtures <dir> [--thresholds JSON] [--weights JSON] [--out file] [--rows]");
+    process.exit(1);
+  }
+  const slate = JSON.parse(await fs.readFile(args.slate, "utf8"));
+  const store = await FixtureStore.load(args.fixtures);
+  const report = await runBacktest(Array.isArray(slate) ? slate : slate.props || [], {
+    store,
+    thresholds: args.thresholds ? JSON.parse(args.thresholds) : undefined,
+    fusionWeights: args.weights ? JSON.parse(args.weights) : undefined,
+  });
+
+  console.log(`fixtures: ${store.size}  props: ${report.rows.length}  skipped (bad startTime): ${report.skipped}`);
+  console.log("tier          picks graded   hit     roi  stkRoi  units  maxDD(u)  brier");
+  const line = (name, t) => console.log(
+    `${name.padEnd(12)} ${String(t.picks).padStart(6)} ${String(t.graded).padStart(6)} ${fmtPct(t.hitRate)} ${fmtPct(t.roi)} ${fmtPct(t.stakedRoi)} ${String(t.unitsWon).padStart(6)} ${String(t.maxDrawdown.units).padStart(9)}  ${t.calibration.brier ?? "n/a"}`);
+  for (const [tier, t] of Object.entries(report.byDecision)) line(tier, t);
+  line("ALL BETS", report.bets);
+
+  if (args.out) {
+    const { rows, ...rest } = report;
+    await fs.writeFile(args.out, JSON.stringify(args.rows ? report : rest, null, 2));
+    console.log(`report → ${args.out}`);
+  }
+}
+
+main().catch((e) => {
+  console.error("[backtest] fatal", e?.stack || e);
+  process.exit(1);
+});
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// scripts/record-odds.js
+// Polls SportsDataIO game odds, public betting splits and player prop lines into the odds history
+// (ODDS_HISTORY_PATH) that the engines read line movement from.
+//   npm run odds:record -- [--sports NBA,NHL] [--date YYYY-MM-DD] [--every 5] [--polls 12] [--no-splits]
+// Without --every it polls once (for cron); with it, every N minutes until --polls run out.
+import { SportsDataIOClient } from "../lib/apiClient.js";
+import { OddsHistory, recordOdds } from "../lib/odds/oddsHistory.js";
+import { supportedSports } from "../lib/sports/sportAdapters.js";
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) out[a.slice(2)] = true;
+    else { out[a.slice(2)] = next; i++; }
+  }
+  return out;
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const sports = args.sports ? String(args.sports).toUpperCase().split(",").filter(Boolean) : supportedSports();
+  const every = Number(args.every) || 0;
+  const polls = Number(args.polls) || (every ? Infinity : 1);
+
+  const client = new SportsDataIOClient();
+  if (!client.isReady()) {
+    console.error("[record-odds] no SportsDataIO key (or fixture replay) configured");
+    process.exit(1);
+  }
+  const history = new OddsHistory();
+
+  for (let n = 1; n <= polls; n++) {
+    const started = Date.now();
+    for (const sport of sports) {
+      try {
+        const r = await recordOdds(history, client, sport, { dateStr: args.date || undefined, splits: !args["no-splits"] });
+        console.log(`${new Date().toISOString()} ${sport.padEnd(4)} games ${r.games}  props ${r.props}  new snapshots ${r.recorded}`);
+      } catch (e) {
+        console.error(`[record-odds] ${sport}`, e?.message || e);
+      }
+    }
+    if (n < polls) await sleep(Math.max(0, every * 60000 - (Date.now() - started)));
+  }
+  console.log(`history → ${history.path}`);
+}
+
+main().catch((e) => {
+  console.error("[record-odds] fatal", e?.stack || e);
+  process.exit(1);
+});
@@ -17,7 +17,6 @@ export default function BatchAnalyzer() {
         startTime: '2025-09-10T19:00:00',
         venue: 'Barclays Center',
         workload: 32,
-        injuryNotes: 'NONE',
         additional: 'Opponent allows 22% AST rate last 30 games'
       }
     ],
@@ -129,13 +128,13 @@ export default function BatchAnalyzer() {
                       <div className="flex items-center justify-between">
                         <div>
                           <div className="font-semibold">{g.game}</div>
-                          <div className="text-sm text-gray-400">{g.line}</div>
+                          <div className="text-sm text-gray-400">{g.side} {g.line} {g.suggestion}</div>
                         </div>
                         <div className="text-right">
-                          <div className={`font-bold ${g.recommendation === 'BET' ? 'text-betting-green' : 'text-gray-400'}`}>
-                            {g.recommendation}
+                          <div className={`font-bold ${g.decision && g.decision !== 'PASS' ? 'text-betting-green' : 'text-gray-400'}`}>
+                            {g.decision}
                           </div>
-                          <div className="text-sm text-gray-400">{g.confidence}% confidence</div>
+                          <div className="text-sm text-gray-400">{g.finalConfidence}% confidence</div>
                         </div>
                       </div>
                     </div>
@@ -144,6 +143,20 @@ export default function BatchAnalyzer() {
               </div>
             )}
 
+            {results.errors && (results.errors.props?.length > 0 || results.errors.games?.length > 0) && (
+              <div>
+                <h3 className="text-lg font-semibold mb-4 text-red-300">Rejected Items</h3>
+                <ul className="space-y-2 text-sm text-red-200">
+                  {(results.errors.props || []).map((e) => (
+                    <li key={`p${e.index}`}>• Prop #{e.index + 1}: {e.error}</li>
+                  ))}
+                  {(results.errors.games || []).map((e) => (
+                    <li key={`g${e.index}`}>• Game #{e.index + 1}: {e.error}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
           </div>
         )}
       </div>
@@ -66,6 +66,7 @@ export default function GameAnalyzer() {
               <option value="NBA">NBA</option>
               <option value="WNBA">WNBA</option>
               <option value="NFL">NFL</option>
+              <option value="NHL">NHL</option>
             </select>
           </div>
 
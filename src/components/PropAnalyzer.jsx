@@ -11,7 +11,9 @@ export default function PropAnalyzer() {
     prop: '',               // e.g., "Points 23.5" or "Strikeouts 6.5"
     oddsOver: '2.0',        // decimal odds (e.g., 1.90, 2.05)
     oddsUnder: '1.8',
-    startTimeLocal: ''      // HTML datetime-local string
+    startTimeLocal: '',     // HTML datetime-local string
+    minutes: '',            // optional projected-minutes override (NBA/WNBA)
+    pitchLimit: ''          // optional pitch limit for a starter (MLB strikeouts)
   });
 
   const [loading, setLoading] = useState(false);
@@ -52,6 +54,9 @@ export default function PropAnalyzer() {
       },
       // if user didn't pick a time, backend will default to now+6h
       startTime: toISOFromLocal(form.startTimeLocal),
+      // blank lets the engine project minutes from recent games
+      workload: form.minutes === '' ? 'AUTO' : parseFloat(form.minutes),
+      pitchLimit: form.pitchLimit === '' ? null : parseInt(form.pitchLimit, 10),
     };
 
     try {
@@ -93,6 +98,7 @@ export default function PropAnalyzer() {
             <option>WNBA</option>
             <option>MLB</option>
             <option>NFL</option>
+            <option>NHL</option>
           </select>
         </label>
 
@@ -143,7 +149,7 @@ export default function PropAnalyzer() {
             name="prop"
             value={form.prop}
             onChange={handleChange}
-            placeholder='e.g., "Points 23.5", "Assists 8.5", "Strikeouts 6.5"'
+            placeholder='e.g., "Points 23.5", "PRA 35.5", "3-Pt Made 2.5", "Strikeouts 6.5"'
             className="border rounded p-2"
             required
           />
@@ -175,6 +181,40 @@ export default function PropAnalyzer() {
           />
         </label>
 
+        {/* Minutes override */}
+        {(form.sport === 'NBA' || form.sport === 'WNBA') && (
+          <label className="flex flex-col">
+            <span className="text-sm font-medium mb-1">Projected Minutes (optional)</span>
+            <input
+              type="number"
+              step="0.5"
+              min="0"
+              name="minutes"
+              value={form.minutes}
+              onChange={handleChange}
+              placeholder="auto from recent games"
+              className="border rounded p-2"
+            />
+          </label>
+        )}
+
+        {/* Pitch limit */}
+        {form.sport === 'MLB' && (
+          <label className="flex flex-col">
+            <span className="text-sm font-medium mb-1">Pitch Limit (optional)</span>
+            <input
+              type="number"
+              step="1"
+              min="0"
+              name="pitchLimit"
+              value={form.pitchLimit}
+              onChange={handleChange}
+              placeholder="e.g., 75 on a rehab or ramp-up start"
+              className="border rounded p-2"
+            />
+          </label>
+        )}
+
         <div className="md:col-span-2 flex items-center gap-3">
           <button
             type="submit"
@@ -47,7 +47,10 @@ export default function ResultCard({ result, type }) {
             {(result.finalConfidence ?? result.confidence ?? 0)}% Confidence
           </span>
           {result.suggestedStake != null && (
-            <span className="text-sm text-gray-300">Stake: {result.suggestedStake}% bankroll</span>
+            <span className="text-sm text-gray-300">
+              Stake: {result.suggestedStake}% bankroll
+              {result.stake?.units > 0 && ` (${result.stake.units}u of ${result.stake.bankroll}u)`}
+            </span>
           )}
         </div>
       </div>
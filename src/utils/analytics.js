@@ -8,7 +8,23 @@ export function logAnalysisEvent(kind, payload) {
   } catch (_) {}
 }
 
-export function downloadLogsCSV() {
+function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = filename;
+  document.body.appendChild(a); a.click(); a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Prefer the server-side ledger (graded picks, usable for calibration); fall back to local logs
+export async function downloadLogsCSV() {
+  try {
+    const r = await fetch('/api/ledger?format=csv');
+    if (r.ok) {
+      saveBlob(await r.blob(), 'ledger.csv');
+      return;
+    }
+  } catch (_) {}
   try {
     const key = 'mbs_logs';
     const arr = JSON.parse(localStorage.getItem(key) || '[]');
@@ -16,11 +32,6 @@ export function downloadLogsCSV() {
     const rows = [header.join(',')].concat(
       arr.map(obj => header.map(h => JSON.stringify(obj[h] ?? '')).join(','))
     );
-    const blob = new Blob([rows.join('\n')], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url; a.download = 'analysis_logs.csv';
-    document.body.appendChild(a); a.click(); a.remove();
-    URL.revokeObjectURL(url);
+    saveBlob(new Blob([rows.join('\n')], { type: 'text/csv' }), 'analysis_logs.csv');
   } catch (_) {}
 }